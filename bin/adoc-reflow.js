@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+/**
+ * adoc-reflow — command-line front end for the AsciiDoc Reflow core.
+ *
+ * Usage: adoc-reflow [options] [file | directory | glob | -]...
+ * Directories are searched recursively for .adoc, .asciidoc and .asc files; without paths (or with "-")
+ * the document is read from stdin. See USAGE below for the options. Settings from .adocreflowrc.json and
+ * .editorconfig files apply to each file (stdin: to the current folder); command-line options win.
+ *
+ * With --follow-includes every AsciiDoc file a given file pulls in through include:: is reflowed as well.
+ * Unclosed blocks are reported as warnings; a file whose reflow fails the core's checks is left alone.
+ *
+ * Exit codes: 0 success, 1 files need reflowing (--check), 2 usage or I/O error, or a failed check.
+ */
+const fs = require("fs");
+const path = require("path");
+const { reflowChecked } = require("../core");
+const { unifiedDiff } = require("../diff");
+const { resolveConfig, globToRegExp } = require("../config");
+const { includedFiles } = require("../includes");
+
+const USAGE = `Usage: adoc-reflow [options] [file | directory | glob | -]...
+
+Reflow AsciiDoc paragraphs. Prints the result to stdout unless --write, --check or --diff is given.
+Reads stdin when no paths are given or for "-".
+
+Options:
+  -w, --width <n>      wrap column (default: from .adocreflowrc.json or .editorconfig, else 80)
+  -m, --mode <mode>    "fill" (default), "sentences" (one sentence per line) or "unwrap" (one line
+                       per paragraph)
+      --write          rewrite files in place
+      --check          report files that are not reflowed and exit with 1
+      --diff           print a unified diff of the changes
+      --follow-includes
+                       also reflow the AsciiDoc files pulled in with include::, transitively
+  -h, --help           show this help
+`;
+
+const DEFAULT_WIDTH = 80;
+const MODES = ["fill", "sentences", "unwrap"];
+const ADOC_FILE_RE = /\.(adoc|asciidoc|asc)$/i;
+const GLOB_CHARS_RE = /[*?[{]/;
+
+// Errors in the command line: reported with the usage text
+const usageError = message => Object.assign(new Error(message), { usage: true });
+
+// ------------------ Arguments ------------------
+function parseArgs(args) {
+  const opts = {
+    width: undefined, mode: undefined, write: false, check: false, diff: false, includes: false, help: false, paths: []
+  };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const [name, inline] = arg.startsWith("--") && arg.includes("=") ? arg.split(/=(.*)/s) : [arg, undefined];
+    const value = () => {
+      if (inline !== undefined) return inline;
+      if (i + 1 >= args.length) throw usageError(`${name} needs a value`);
+      return args[++i];
+    };
+    switch (name) {
+      case "-w": case "--width": {
+        const v = value();
+        const width = Number(v);
+        if (!Number.isInteger(width) || width < 20) throw usageError(`invalid width "${v}" (a whole number, at least 20)`);
+        opts.width = width;
+        break;
+      }
+      case "-m": case "--mode": {
+        const mode = value();
+        if (!MODES.includes(mode)) throw usageError(`invalid mode "${mode}" (${MODES.slice(0, -1).join(", ")} or ${MODES[MODES.length - 1]})`);
+        opts.mode = mode;
+        break;
+      }
+      case "--write": opts.write = true; break;
+      case "--check": opts.check = true; break;
+      case "--diff": opts.diff = true; break;
+      case "--follow-includes": opts.includes = true; break;
+      case "-h": case "--help": opts.help = true; break;
+      default:
+        if (name.startsWith("-") && name !== "-") throw usageError(`unknown option ${name}`);
+        opts.paths.push(arg);
+    }
+  }
+  return opts;
+}
+
+// ------------------ Files ------------------
+// Files below `dir`, skipping node_modules and hidden directories
+function walk(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== "node_modules" && !entry.name.startsWith(".")) files.push(...walk(full));
+    } else if (entry.isFile()) files.push(full);
+  }
+  return files;
+}
+
+function expandGlob(pattern, cwd) {
+  const parts = pattern.split(/[\\/]/);
+  const firstGlob = parts.findIndex(p => GLOB_CHARS_RE.test(p));
+  const base = parts.slice(0, firstGlob).join("/") || ".";
+  const re = globToRegExp(parts.slice(firstGlob).join("/"));
+  const root = path.resolve(cwd, base);
+  if (!fs.existsSync(root)) return [];
+  return walk(root)
+    .filter(f => re.test(path.relative(root, f).split(path.sep).join("/")))
+    .map(f => path.join(base, path.relative(root, f)));
+}
+
+// Resolve the command-line paths to a list of files ("-" stands for stdin), without duplicates
+function resolveFiles(paths, cwd) {
+  const files = [];
+  for (const p of paths) {
+    const full = path.resolve(cwd, p);
+    if (p === "-") files.push(p);
+    else if (fs.existsSync(full) && fs.statSync(full).isDirectory()) {
+      files.push(...walk(full).filter(f => ADOC_FILE_RE.test(f)).map(f => path.join(p, path.relative(full, f))));
+    } else if (fs.existsSync(full)) files.push(p);
+    else if (GLOB_CHARS_RE.test(p)) {
+      const matches = expandGlob(p, cwd);
+      if (!matches.length) throw usageError(`no files match ${p}`);
+      files.push(...matches);
+    } else throw usageError(`no such file or directory: ${p}`);
+  }
+  return [...new Set(files)];
+}
+
+// The files and, after each, the files it includes (relative to `cwd`); includes that cannot be followed
+// are reported as warnings
+function followIncludes(files, io) {
+  const all = [];
+  for (const file of files) {
+    if (file === "-") { all.push(file); continue; }
+    const { files: included, missing } = includedFiles(path.resolve(io.cwd, file));
+    all.push(file, ...included.slice(1).map(f => path.relative(io.cwd, f)));
+    missing.forEach(m => io.stderr(
+      `adoc-reflow: ${path.relative(io.cwd, m.file)}:${m.line + 1}: warning: include::${m.target}[] not followed: ${m.message}\n`));
+  }
+  return [...new Set(all)];
+}
+
+// ------------------ Main ------------------
+// io: { cwd, stdinIsTTY, readStdin(): Promise<string>, stdout(text), stderr(text) }; resolves to the exit code
+async function run(args, io) {
+  let opts;
+  try {
+    opts = parseArgs(args);
+    if (opts.help) { io.stdout(USAGE); return 0; }
+    if (!opts.paths.length) {
+      if (io.stdinIsTTY) throw usageError("no input files");
+      opts.paths.push("-");
+    }
+    opts.files = resolveFiles(opts.paths, io.cwd);
+    if (opts.includes) opts.files = followIncludes(opts.files, io);
+    if (opts.write && opts.files.includes("-")) throw usageError("--write cannot be used with stdin");
+  } catch (err) {
+    if (!err.usage) throw err;
+    io.stderr(`adoc-reflow: ${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const unformatted = [];
+  let failed = false;
+  for (const file of opts.files) {
+    const name = file === "-" ? "<stdin>" : file;
+    let original;
+    try {
+      original = file === "-" ? await io.readStdin() : fs.readFileSync(path.resolve(io.cwd, file), "utf8");
+    } catch (err) {
+      io.stderr(`adoc-reflow: cannot read ${name}: ${err.message}\n`);
+      failed = true;
+      continue;
+    }
+
+    // Project settings for the file, overridden by the command line
+    let config;
+    try {
+      config = resolveConfig(file === "-" ? path.join(io.cwd, name) : path.resolve(io.cwd, file));
+    } catch (err) {
+      io.stderr(`adoc-reflow: ${err.message}\n`);
+      failed = true;
+      continue;
+    }
+    const { wrapColumn = DEFAULT_WIDTH, ...options } = config;
+    if (opts.mode) options.mode = opts.mode;
+
+    // Unclosed blocks are reported; a result that fails the core's checks is not used
+    const result = reflowChecked(original, opts.width || wrapColumn, options);
+    result.warnings.forEach(w => io.stderr(`adoc-reflow: ${name}:${w.line + 1}: warning: ${w.message}\n`));
+    if (result.errors.length) {
+      result.errors.forEach(e => io.stderr(`adoc-reflow: ${name}:${e.line + 1}: not reflowed: ${e.message}\n`));
+      failed = true;
+      continue;
+    }
+
+    // Keep the file's line endings
+    const eol = /\r\n/.test(original) ? "\r\n" : "\n";
+    let formatted = result.text;
+    if (eol !== "\n") formatted = formatted.replace(/\n/g, eol);
+    const changed = formatted !== original;
+    if (changed) unformatted.push(name);
+
+    if (opts.diff && changed) {
+      const rel = name.split(path.sep).join("/");
+      io.stdout(unifiedDiff(original, formatted, `a/${rel}`, `b/${rel}`));
+    }
+    if (opts.write && changed) {
+      try {
+        fs.writeFileSync(path.resolve(io.cwd, file), formatted, "utf8");
+        io.stderr(`reflowed ${name}\n`);
+      } catch (err) {
+        io.stderr(`adoc-reflow: cannot write ${name}: ${err.message}\n`);
+        failed = true;
+      }
+    }
+    if (!opts.write && !opts.check && !opts.diff) io.stdout(formatted);
+  }
+
+  // Per-file report; with --write the rewritten files were reported above
+  if (opts.check) {
+    if (!opts.write) unformatted.forEach(name => io.stderr(`needs reflowing: ${name}\n`));
+    const verb = opts.write ? "were reflowed" : "need reflowing";
+    if (unformatted.length) io.stderr(`${unformatted.length} of ${opts.files.length} file(s) ${verb}.\n`);
+    else io.stderr(`All ${opts.files.length} file(s) are reflowed.\n`);
+  }
+  if (failed) return 2;
+  return opts.check && !opts.write && unformatted.length ? 1 : 0;
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", chunk => { data += chunk; });
+    process.stdin.on("end", () => resolve(data));
+    process.stdin.on("error", reject);
+  });
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2), {
+    cwd: process.cwd(),
+    stdinIsTTY: !!process.stdin.isTTY,
+    readStdin,
+    stdout: text => process.stdout.write(text),
+    stderr: text => process.stderr.write(text)
+  }).then(code => { process.exitCode = code; });
+}
+
+module.exports = { run, parseArgs };
@@ -0,0 +1,176 @@
+/**
+ * Project configuration for AsciiDoc Reflow — plain Node (no VS Code APIs), shared by the extension and
+ * the command-line formatter.
+ *
+ * Exports:
+ *   - resolveConfig(filePath: string): ProjectConfig
+ *   - globToRegExp(glob: string): RegExp
+ *
+ * ProjectConfig holds only the settings configured for the file (so callers can fall back to their own):
+ *   - wrapColumn: number; mode, wrapLongSentences, abbreviations, admonitionIndent, wrapAttributeValues,
+ *     reflowCommentBlocks, lineBreaking as in core.js ReflowOptions.
+ *
+ * Sources, later ones winning:
+ * 1. .editorconfig files from the file system root down to the file's folder (stopping above a file with
+ *    root = true): max_line_length of the sections matching the file becomes wrapColumn (values below 20
+ *    are ignored, as wrapColumn in .adocreflowrc.json would reject them).
+ * 2. The nearest .adocreflowrc.json walking up from the file's folder:
+ *      { "wrapColumn": 72, "mode": "sentences",
+ *        "overrides": [{ "files": ["docs/**\/*.adoc"], "wrapColumn": 100 }] }
+ *    Override patterns are relative to the config file; patterns without "/" match the file name anywhere.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const RC_FILE = ".adocreflowrc.json";
+const EDITORCONFIG_FILE = ".editorconfig";
+
+// Setting name → validator, for the settings a config file may set
+const SETTINGS = {
+  wrapColumn: v => Number.isInteger(v) && v >= 20,
+  mode: v => v === "fill" || v === "sentences",
+  wrapLongSentences: v => typeof v === "boolean",
+  abbreviations: v => Array.isArray(v) && v.every(a => typeof a === "string"),
+  admonitionIndent: v => v === "hanging" || v === "flush",
+  wrapAttributeValues: v => typeof v === "boolean",
+  reflowCommentBlocks: v => typeof v === "boolean",
+  lineBreaking: v => v === "greedy" || v === "optimal"
+};
+
+// ------------------ Globs ------------------
+// "**" matches any number of directories, "*" and "?" stay within one, "{a,b}" and "[...]" as usual
+function globToRegExp(glob) {
+  let re = "";
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*" && glob[i + 1] === "*") {
+      i++;
+      if (glob[i + 1] === "/") { i++; re += "(?:.*/)?"; } else re += ".*";
+    } else if (c === "*") re += "[^/]*";
+    else if (c === "?") re += "[^/]";
+    else if (c === "{") { braces++; re += "(?:"; }
+    else if (c === "}" && braces) { braces--; re += ")"; }
+    else if (c === "," && braces) re += "|";
+    else if (c === "[") {
+      const end = glob.indexOf("]", i + 1);
+      if (end === -1) re += "\\[";
+      else { re += "[" + glob.slice(i + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\") + "]"; i = end; }
+    } else re += c.replace(/[.+^$(){}|\\]/g, "\\$&");
+  }
+  return new RegExp(`^${re}$`);
+}
+
+// Does `pattern` (relative to `dir`) match `filePath`? Patterns without "/" match the file name in any folder.
+function matchesPattern(pattern, dir, filePath) {
+  const rel = path.relative(dir, filePath).split(path.sep).join("/");
+  if (rel.startsWith("../")) return false;
+  const glob = pattern.includes("/") ? pattern.replace(/^\//, "") : `**/${pattern}`;
+  return globToRegExp(glob).test(rel);
+}
+
+// Folders from `dir` up to the file system root, nearest first
+function ancestors(dir) {
+  const dirs = [];
+  for (let d = path.resolve(dir); ; d = path.dirname(d)) {
+    dirs.push(d);
+    if (path.dirname(d) === d) return dirs;
+  }
+}
+
+// ------------------ .editorconfig ------------------
+// Sections of an .editorconfig file: { root, sections: [{ pattern, props }] }
+function parseEditorConfig(text) {
+  const config = { root: false, sections: [] };
+  let section = null;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || /^[#;]/.test(line)) continue;
+    const mSection = line.match(/^\[(.*)\]$/);
+    if (mSection) { section = { pattern: mSection[1], props: {} }; config.sections.push(section); continue; }
+    const mProp = line.match(/^([^=:]+?)\s*[=:]\s*(.*)$/);
+    if (!mProp) continue;
+    const key = mProp[1].toLowerCase();
+    const value = mProp[2].replace(/\s+[#;].*$/, "");
+    if (section) section.props[key] = value;
+    else if (key === "root") config.root = value.toLowerCase() === "true";
+  }
+  return config;
+}
+
+function editorConfigWidth(filePath) {
+  // Nearest file first; stop after a root file, then apply from the root down
+  const files = [];
+  for (const dir of ancestors(path.dirname(filePath))) {
+    const file = path.join(dir, EDITORCONFIG_FILE);
+    if (!fs.existsSync(file)) continue;
+    const config = parseEditorConfig(fs.readFileSync(file, "utf8"));
+    files.unshift({ dir, config });
+    if (config.root) break;
+  }
+
+  let width;
+  for (const { dir, config } of files) {
+    for (const { pattern, props } of config.sections) {
+      if (!("max_line_length" in props) || !matchesPattern(pattern, dir, filePath)) continue;
+      // "off" unsets the width; values that are no valid wrapColumn (below 20, not a number) are ignored
+      const value = props.max_line_length.toLowerCase();
+      const n = Number.parseInt(value, 10);
+      width = value === "off" ? undefined : SETTINGS.wrapColumn(n) ? n : width;
+    }
+  }
+  return width;
+}
+
+// ------------------ .adocreflowrc.json ------------------
+function findRcFile(filePath) {
+  for (const dir of ancestors(path.dirname(filePath))) {
+    const file = path.join(dir, RC_FILE);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+// Copy the known settings of `source` into `target`, rejecting invalid values
+function applySettings(target, source, where) {
+  for (const [key, valid] of Object.entries(SETTINGS)) {
+    if (!(key in source)) continue;
+    if (!valid(source[key])) throw new Error(`${where}: invalid value for "${key}": ${JSON.stringify(source[key])}`);
+    target[key] = source[key];
+  }
+}
+
+function rcSettings(file, filePath) {
+  let rc;
+  try {
+    rc = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  if (!rc || typeof rc !== "object" || Array.isArray(rc)) throw new Error(`${file}: expected a JSON object`);
+
+  const settings = {};
+  applySettings(settings, rc, file);
+  const dir = path.dirname(file);
+  (rc.overrides || []).forEach((override, i) => {
+    const where = `${file}: overrides[${i}]`;
+    const patterns = [].concat(override.files || []);
+    if (!patterns.length) throw new Error(`${where}: "files" is missing`);
+    if (patterns.some(p => matchesPattern(p, dir, filePath))) applySettings(settings, override, where);
+  });
+  return settings;
+}
+
+// ------------------ Resolution ------------------
+// Settings configured for `filePath` in .editorconfig and .adocreflowrc.json files. Throws an Error naming
+// the file when a config file cannot be parsed or holds an invalid value.
+function resolveConfig(filePath) {
+  const config = {};
+  const width = editorConfigWidth(path.resolve(filePath));
+  if (width) config.wrapColumn = width;
+  const rc = findRcFile(path.resolve(filePath));
+  if (rc) Object.assign(config, rcSettings(rc, path.resolve(filePath)));
+  return config;
+}
+
+module.exports = { resolveConfig, globToRegExp };
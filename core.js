@@ -5,22 +5,97 @@
  * The author reviewed, tested, and accepted all changes.
  *
  * Exports:
- *   - reflowTextAdoc(input: string, width: number): string
+ *   - reflowTextAdoc(input: string, width: number, options?: ReflowOptions): string
+ *   - reflowEdits(input: string, width: number, options?: ReflowOptions, ranges?: { start, end }[]):
+ *     { start, end, lines, markup? }[] (the reflow as replacements of the source lines [start, end) of
+ *     changed blocks; with `ranges` only of the blocks overlapping them; `markup` matches the markers of
+ *     quote and comment lines)
+ *   - reflowChecked(input: string, width: number, options?: ReflowOptions, ranges?): { text, edits, warnings, errors }
+ *     (the reflow with structure warnings — unclosed blocks, mismatched delimiters — and the errors of
+ *     checking that no text or verbatim line changed and that the result parses into the same blocks; a
+ *     result with errors must not be applied)
+ *   - reflowProblems(input: string, width: number, options?: ReflowOptions): { kind, start, end }[]
+ *     (lines too long and blocks not reflowed, for diagnostics)
+ *   - whitespaceEdits(input: string, edits): { start, end, text }[] (reflowEdits' edits as character edits
+ *     of the whitespace and quote or comment markers between words; positions are { line, character })
+ *   - mapPosition(input: string, edits, position: { line, character }): { line, character }
+ *     (where a position ends up after the edits: on the same word)
+ *   - parseBlocks(input: string, options?: ReflowOptions): BlockNode (the document's block tree, see
+ *     "Block structure" below; reflowTextAdoc renders it)
+ *   - splitSentences(text: string, options?: ReflowOptions): string[]
+ *   - displayWidth(text: string, tabSize?: number): number
+ *   - reflowPrefixed(input: string, width: number, prefix: string, options?: ReflowOptions): like reflowChecked
+ *     for AsciiDoc inside source-code comments: every line starts with `prefix` (" * ", "/// ", "# "), which
+ *     is stripped, the rest reflowed at `width` less the prefix, and the prefix put back
+ *   - commentPrefixOf(lines: string[]): string | null (the comment prefix the lines share)
+ *   - commentBlockAt(lines: string[], line: number): { start, end, prefix } | null (the comment around `line`;
+ *     prefix is null when its lines disagree on the space after the marker)
+ *
+ * ReflowOptions:
+ *   - mode: "fill" (default) fills lines up to the width; "sentences" puts each sentence on its own line;
+ *     "unwrap" joins the lines of each paragraph, list item, definition and admonition into one line.
+ *   - wrapLongSentences: in "sentences" mode, wrap sentences longer than the width (default true).
+ *   - abbreviations: extra abbreviations (e.g. ["approx."]) that must not end a sentence.
+ *   - tabSize: tab stop distance used when measuring indentation (default 4).
+ *   - admonitionIndent: "hanging" (default) indents admonition paragraph lines under the text after
+ *     "NOTE: "; "flush" starts them at column 0.
+ *   - wrapAttributeValues: rewrap attribute entry values longer than the width with "\" continuations
+ *     (default false: attribute entries are kept as written).
+ *   - reflowCommentBlocks: reflow the content of //// comment blocks like an example block (default
+ *     false: kept verbatim).
+ *   - lineBreaking: "greedy" (default) fills each line as far as it goes; "optimal" chooses the breaks of
+ *     the whole paragraph together so that its lines are about equally long (minimum raggedness).
  *
  * Safety rules (summary):
- * - Inside fences, open blocks, tables, or comment blocks → pass-through.
+ * - Inside verbatim blocks (listing ----, literal ...., passthrough ++++, comment ////) and tables → pass-through
+ *   (comment blocks are reflowed with the reflowCommentBlocks option).
+ * - Consecutive "// " line comments with the same prefix are reflowed as a paragraph, keeping the prefix on
+ *   every line; tool directives ("// tag::x[]", "// vale off") and commented-out markup stay as they are.
+ * - Compound blocks (example/admonition ====, sidebar ****, quote ____, open --) keep their delimiters;
+ *   their content is reflowed recursively with the same rules. Longer delimiters nest (===== inside ====).
+ * - The document header ("= Title", author and revision lines, attribute entries) is never reflowed.
+ *   Attribute entries keep their soft-wrapped value lines ("value \").
+ * - Directives: "// adoc-reflow: off" … "// adoc-reflow: on" and "// adoc-reflow: skip-next" (the next
+ *   block) keep text as written; :reflow-width: and :reflow-mode: override the width and mode from their
+ *   entry on (the whole file when set in the header), ":reflow-width!:" restores the configured one.
  * - Structural single-line markers (anchors, includes, conditionals, block macros, etc.) break paragraphs.
+ * - Markdown-compatible blocks: ``` fenced code is verbatim, ---, *** and ___ are thematic breaks, and "> " quote
+ *   paragraphs are reflowed with "> " on every line.
  * - Paragraphs that begin with a leading space are literal → preserved verbatim until a blank line.
- * - Single-line admonitions (NOTE:/TIP:/...) wrap with a hanging indent.
- * - Lists: simple items are wrapped with hanging indents; nested/continued/indented-code items are kept as-is.
+ * - Paragraphs styled [source], [listing], [literal], [verse], [stem], [pass], [comment] or with the hardbreaks
+ *   option ([%hardbreaks], options=hardbreaks, :hardbreaks-option:) are preserved verbatim as well; so are
+ *   compound blocks masqueraded with such a style ([verse] + ____). [quote], [NOTE] and roles still reflow.
+ * - Admonition paragraphs (NOTE:/TIP:/...) are reflowed as one unit with a hanging indent (or flush-left);
+ *   [NOTE]/[TIP]/... styled paragraphs reflow like any paragraph.
+ * - Sentence mode and unwrap mode only change where lines break; the pass-through rules above are the same
+ *   (hard breaks " +" stay, literal paragraphs and verbatim blocks are not joined).
+ * - Inline macros keep their target on one line; passthroughs, `code`, kbd:/btn:/pass:/stem: macros and
+ *   attribute references are never broken across lines.
+ * - Lines are never broken where the new line would parse as structure (list marker, comment, admonition,
+ *   block title, heading, delimiter, ...) or where the line before would end in a hard break (" +").
+ * - Widths are display columns (CJK and emoji count two, combining marks none); CJK text without spaces
+ *   breaks between ideographs and kana, never before closing or after opening punctuation.
+ * - Lists: every item at every depth is wrapped with its own hanging indent; blocks attached with "+" are
+ *   reflowed (or kept verbatim) by the same rules, and indented literal lines inside an item are kept as-is.
+ * - List markers: bullets, implicit (. .. ...) and explicit ordered (1. a. A. i) I)), callouts (<1> <.>) and
+ *   description lists (:: ::: :::: ;;). Uppercase lettered and roman numeral items never interrupt a paragraph
+ *   and only start one as the first item of their list ("A.", "i)", "I)"), so "M. Glushkov" stays prose.
  */
 
 // ------------------ Patterns / Delimiters ------------------
-const FENCE_RE = /^([._=*+\-]{4,})\s*$/;      // ----, ...., ====, ****, ++++, ____
-const OPEN_BLOCK_RE = /^--\s*$/;              // Open block -- ... --
+// Delimited blocks: ----, ...., ++++, ////, ====, ****, ____ (4+ of one char) and the open block --.
+// A block is closed by the first line repeating its opening delimiter exactly.
+const DELIMITED_BLOCK_RE = /^(([-._=*+\/])\2{3,}|--)\s*$/;
+const BLOCK_KINDS = {
+  "-": "listing", ".": "literal", "+": "pass", "/": "comment",
+  "=": "example", "*": "sidebar", "_": "quote"
+};
+const VERBATIM_KINDS = new Set(["listing", "literal", "pass", "comment"]);
+// Markdown-style fenced code (```, optionally with a language), closed by a line of just ```
+const MD_FENCE_RE = /^```[\w+#.,-]*\s*$/;
 const TITLE_RE = /^=+\s/;                     // "= Title", "== Subtitle", ...
 const ATTR_RE  = /^:[^:\s][^:]*:\s?.*$/;      // ":attr: value"
-const BLOCK_TITLE_RE = /^\.[^\s].*$/;         // ".Block title"
+const BLOCK_TITLE_RE = /^\.\.?[^\s.].*$/;    // ".Block title" (but not ".. item" or "...")
 const BLOCK_ATTR_RE  = /^\[[^\]]+\]\s*$/;     // [quote, Author], [role=lead], etc.
 const ANCHOR_RE = /^\s*\[\[[^\]]+\]\]\s*$/;   // [[id]] or [[id,ref]]
 
@@ -32,274 +107,1515 @@ const BLOCK_MACRO_RE = /^[a-z][\w+-]*:(?::)?(?:\S+)?\[[^\]]*\]\s*$/i;
 
 const TABLE_FENCE_RE = /^\|===\s*$/;
 
-const COMMENT_BLOCK_FENCE_RE = /^\/\/\/\/\s*$/; // "////" toggles comment block
 const LINE_COMMENT_RE = /^\s*\/\/(?!\/\/)\s?.*$/; // line comment, but not "////"
+const DIRECTIVE_RE = /^\s*\/\/\s*adoc-reflow:\s*(off|on|skip-next)\s*$/; // "// adoc-reflow: off"
 
-// Bullets may repeat to signal depth: '*', '**', '***', also '+'/'-'.
-// Numbered '1.' and lowercase lettered 'a.' supported. Exclude uppercase lettered to avoid initials like "M. Glushkov".
-const LIST_RE = /^([ \t]*)(\*{1,6}|\+{1,6}|\-{1,6}|[0-9]+\.|[a-z]\.|•)\s+(.*)$/;
-const DEF_LIST_RE = /^([ \t]*)([^:]+)::\s*(.*)$/;
+// Bullets may repeat to signal depth: '*', '**', '***', also '+'/'-'; so may implicit ordered markers
+// ('.', '..', '...'). Explicit ordered markers: '1.', 'a.', 'A.', 'iv)', 'IV)'; callouts '<1>' and '<.>'.
+// Uppercase letters and roman numerals also start ordinary prose lines ("M. Glushkov"), see interruptsText.
+const LIST_RE = /^([ \t]*)(\*{1,6}|\+{1,6}|\-{1,6}|\.{1,5}|[0-9]+\.|[a-zA-Z]\.|[ivx]+\)|[IVX]+\)|<(?:[0-9]+|\.)>|•)\s+(.*)$/;
+// "Term::" (also ":::", "::::" and ";;") then a space or the end of the line
+const DEF_LIST_RE = /^([ \t]*)([^:;]+)(:{2,4}|;;)(?:\s+(.*))?$/;
 const CONTINUATION_LINE_RE = /^[ \t]*\+[ \t]*$/;
 
 const INDENTED_CODE_RE = /^(\t| {4,})/;
 
-const ADMON_SINGLE_RE = /^(NOTE|TIP|IMPORTANT|WARNING|CAUTION):\s*(.*)$/;
+const ADMON_SINGLE_RE = /^(NOTE|TIP|IMPORTANT|WARNING|CAUTION):[ \t]+(\S.*)$/; // label, blank, then text
 
-const HR_RE   = /^'{3,}\s*$/;  // ''' thematic rule
+const HR_RE   = /^(?:'{3,}|([-*_])( ?)\1\2\1)\s*$/;  // ''' thematic rule, or Markdown-style ---, * * *, ___
 const PAGE_RE = /^<<<\s*$/;    // page break
+const MD_QUOTE_RE = /^>(?:[ \t]|$)/; // Markdown-style quote line ("> text")
+const MD_QUOTE_PREFIX_RE = /^>[ \t]?/;
 
 const URL_TOKEN_RE = /^[a-z]+:\/\/\S+$/i;
 
 // Literal paragraph: first non-blank line begins with a leading space
 const LEADING_SPACE_LINE_RE = /^ [^\s].*$/;
 
-// Marker depth helper: repeated bullets ⇒ depth; ordered/lettered ⇒ depth 1
+// Delimiter line → { delimiter, kind, verbatim } or null
+function matchDelimiter(line) {
+  if (MD_FENCE_RE.test(line.trim())) return { delimiter: "```", kind: "listing", verbatim: true };
+  const m = line.trim().match(DELIMITED_BLOCK_RE);
+  if (!m) return null;
+  const delimiter = m[1];
+  const kind = delimiter === "--" ? "open" : BLOCK_KINDS[delimiter[0]];
+  return { delimiter, kind, verbatim: VERBATIM_KINDS.has(kind) };
+}
+
+// Index of the line closing a delimited block opened just before `start`, or -1 if unclosed
+function findClosingDelimiter(srcLines, start, delimiter) {
+  for (let j = start; j < srcLines.length; j++) {
+    if (srcLines[j].trim() === delimiter) return j;
+  }
+  return -1;
+}
+
+// ------------------ Block attributes ------------------
+// Paragraph (and delimited block) styles whose content is verbatim in AsciiDoc
+const VERBATIM_STYLES = new Set(["source", "listing", "literal", "verse", "stem", "latexmath", "asciimath", "pass", "comment"]);
+
+// ":hardbreaks-option:" (or the legacy ":hardbreaks:") set or unset ("!") as a document attribute
+const HARDBREAKS_ATTR_RE = /^:(!?)hardbreaks(?:-option)?(!?):/;
+
+// Split an attribute list on commas outside quotes
+function splitAttrList(text) {
+  const entries = [];
+  let current = "";
+  let quote = "";
+  for (const ch of text) {
+    if (quote) { if (ch === quote) quote = ""; current += ch; continue; }
+    if (ch === "\"" || ch === "'") { quote = ch; current += ch; continue; }
+    if (ch === ",") { entries.push(current.trim()); current = ""; continue; }
+    current += ch;
+  }
+  entries.push(current.trim());
+  return entries;
+}
+
+// "[style#id.role%option,positional,name=value]" → { style, roles, options }
+function parseBlockAttrs(line) {
+  const attrs = { style: "", roles: [], options: [] };
+  splitAttrList(line.trim().slice(1, -1)).forEach((entry, k) => {
+    const named = entry.match(/^([\w-]+)\s*=\s*(.*)$/);
+    if (named) {
+      const value = named[2].replace(/^(["'])(.*)\1$/, "$2");
+      if (named[1] === "options" || named[1] === "opts") attrs.options.push(...value.split(",").map(o => o.trim()));
+      else if (named[1] === "role") attrs.roles.push(...value.split(/\s+/).filter(Boolean));
+      return;
+    }
+    if (k > 0) return; // other positional attributes (language, attribution, ...) do not matter here
+    const m = entry.match(/^([^#.%]*)(.*)$/);
+    attrs.style = m[1].trim();
+    for (const [, sigil, value] of m[2].matchAll(/([#.%])([^#.%]+)/g)) {
+      if (sigil === ".") attrs.roles.push(value);
+      else if (sigil === "%") attrs.options.push(value);
+    }
+  });
+  return attrs;
+}
+
+// Several attribute lines before one block add up; a later style wins
+function mergeBlockAttrs(a, b) {
+  if (!a) return b;
+  return { style: b.style || a.style, roles: [...a.roles, ...b.roles], options: [...a.options, ...b.options] };
+}
+
+const isVerbatimStyle = attrs => !!attrs && VERBATIM_STYLES.has(attrs.style.toLowerCase());
+const hasHardbreaks = attrs => !!attrs && attrs.options.includes("hardbreaks");
+
+// Marker depth helper: repeated bullets, implicit ordered markers and description list delimiters ⇒ depth
+// ("::" 1, ":::" 2, "::::" 3, ";;" 4); explicit ordered, lettered, roman and callout markers ⇒ depth 1
 function markerDepth(m) {
   if (!m) return 0;
-  if (/^\*+$/.test(m) || /^\++$/.test(m) || /^\-+$/.test(m)) return m.length;
-  if (/^[0-9]+\.$/.test(m)) return 1;
-  if (/^[a-z]\.$/.test(m)) return 1;
+  if (/^(\*+|\++|\-+|\.+)$/.test(m)) return m.length;
+  if (/^:{2,4}$/.test(m)) return m.length - 1;
+  if (m === ";;") return 4;
+  if (/^([0-9]+|[a-zA-Z])\.$/.test(m) || /^([ivx]+|[IVX]+)\)$/.test(m) || /^<([0-9]+|\.)>$/.test(m)) return 1;
   if (m === "•") return 1;
   return 0;
 }
 
+// Marker style helper: items with the same style and depth belong to the same list level
+function markerStyle(m) {
+  if (/^[0-9]+\.$/.test(m)) return "1";
+  if (/^[a-z]\.$/.test(m)) return "a";
+  if (/^[A-Z]\.$/.test(m)) return "A";
+  if (/^[ivx]+\)$/.test(m)) return "i";
+  if (/^[IVX]+\)$/.test(m)) return "I";
+  if (/^<([0-9]+|\.)>$/.test(m)) return "<>";
+  return m.charAt(0);
+}
+
+// ------------------ Options ------------------
+const DEFAULT_OPTIONS = {
+  mode: "fill",
+  wrapLongSentences: true,
+  abbreviations: [],
+  tabSize: 4,
+  admonitionIndent: "hanging",
+  wrapAttributeValues: false,
+  reflowCommentBlocks: false,
+  lineBreaking: "greedy"
+};
+
+function normalizeOptions(options) {
+  return { ...DEFAULT_OPTIONS, ...(options || {}) };
+}
+
+// ------------------ Sentence splitting ------------------
+// Tokens ending in a period that do not end a sentence (compared lowercased, without surrounding marks).
+const ABBREVIATIONS = [
+  "e.g.", "i.e.", "cf.", "vs.", "viz.", "approx.", "ca.", "incl.", "resp.", "al.",
+  "fig.", "figs.", "eq.", "eqs.", "tab.", "ch.", "sec.", "no.", "nr.", "vol.", "p.", "pp.",
+  "mr.", "mrs.", "ms.", "dr.", "prof.", "st.", "jr.", "sr."
+];
+
+const SENTENCE_END_RE = /[.!?…]["'”’»)\]*_`]*$/; // "end." "end?”" "*end.*" "(end.)"
+const INITIALS_RE = /^(?:\p{Lu}\.)+$/u;         // "M.", "V.M.", "U.S."
+const TOKEN_MARKS_RE = /^["'“‘«(\[*_`]+|["'”’»)\]*_`]+$/g;
+const LOWERCASE_START_RE = /^["'“‘«(\[*_`]*\p{Ll}/u;
+
+function isAbbreviation(token, abbreviations) {
+  const bare = token.replace(TOKEN_MARKS_RE, "");
+  return INITIALS_RE.test(bare) || abbreviations.has(bare.toLowerCase());
+}
+
+// Split normalized prose into sentences. A sentence ends at a token ending in . ! ? (optionally
+// followed by closing quotes, brackets or formatting marks) unless the token is a known
+// abbreviation or an initial, or the next token starts with a lowercase letter.
+function splitSentences(text, options) {
+  const opts = normalizeOptions(options);
+  const abbreviations = new Set([...ABBREVIATIONS, ...opts.abbreviations].map(a => a.toLowerCase()));
+  const words = splitWords(text).map(w => w.text);
+  const sentences = [];
+  let current = [];
+  words.forEach((w, i) => {
+    current.push(w);
+    const next = words[i + 1];
+    if (!next) return;
+    if (!SENTENCE_END_RE.test(w) || LOWERCASE_START_RE.test(next)) return;
+    if (isAbbreviation(w, abbreviations)) return;
+    sentences.push(current.join(" "));
+    current = [];
+  });
+  if (current.length) sentences.push(current.join(" "));
+  return sentences;
+}
+
+// ------------------ Display width ------------------
+// Columns are measured per grapheme cluster: East Asian Wide/Fullwidth characters and emoji take two
+// columns, combining marks and other zero-width characters none, tabs advance to the next tab stop.
+const WIDE_RANGES = [
+  [0x1100, 0x115f], [0x2e80, 0x303e], [0x3041, 0x33ff], [0x3400, 0x4dbf], [0x4e00, 0x9fff],
+  [0xa000, 0xa4cf], [0xa960, 0xa97f], [0xac00, 0xd7a3], [0xf900, 0xfaff], [0xfe10, 0xfe19],
+  [0xfe30, 0xfe6f], [0xff00, 0xff60], [0xffe0, 0xffe6], [0x1f300, 0x1f64f], [0x1f900, 0x1f9ff],
+  [0x20000, 0x2fffd], [0x30000, 0x3fffd]
+];
+const ZERO_WIDTH_RE = /^[\p{Mn}\p{Me}\p{Cf}]/u;
+const EMOJI_RE = /\p{Emoji_Presentation}|\uFE0F/u;  // emoji, or a text symbol with emoji presentation
+const ASCII_PRINTABLE_RE = /^[\x20-\x7e]*$/;
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+function isWide(cp) {
+  return WIDE_RANGES.some(([lo, hi]) => cp >= lo && cp <= hi);
+}
+
+function graphemeWidth(g) {
+  if (EMOJI_RE.test(g)) return 2;
+  if (ZERO_WIDTH_RE.test(g)) return 0;
+  return isWide(g.codePointAt(0)) ? 2 : 1;
+}
+
+// Display width of `str` in columns, starting at column 0
+function displayWidth(str, tabSize = 4) {
+  if (ASCII_PRINTABLE_RE.test(str)) return str.length;
+  let col = 0;
+  for (const { segment } of graphemes.segment(str)) {
+    col += segment === "\t" ? tabSize - (col % tabSize) : graphemeWidth(segment);
+  }
+  return col;
+}
+
+// ------------------ Line-breaking opportunities ------------------
+// Prose is broken at ASCII whitespace (NBSP and other non-breaking spaces glue their words) and,
+// following the ideographic rules of UAX #14, between two Chinese/Japanese characters — except before
+// closing punctuation and small kana (CL/NS) and after opening punctuation (OP). Hangul is spaced text.
+const BREAK_SPACE_RE = /[ \t\r\n\f\v]+/;
+const CJK_CHAR_RE = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u3001-\u303f\u30fc\uff01-\uff60]$/u;
+const NO_BREAK_BEFORE = new Set(Array.from(
+  "、。，．・：；？！ー…‥々〻ゝゞヽヾ）」』】〕〉》〙〗］｝〟" +
+  "ぁぃぅぇぉっゃゅょゎゕゖァィゥェォッャュョヮヵヶ"
+));
+const NO_BREAK_AFTER = new Set(Array.from("（「『【〔〈《〘〖［｛〝"));
+
+const isCJK = ch => !!ch && CJK_CHAR_RE.test(ch);
+const firstChar = str => Array.from(str.slice(0, 2))[0];
+const lastChar = str => Array.from(str.slice(-2)).pop();
+
+function canBreakBetween(a, b) {
+  return isCJK(a) && isCJK(b) && !NO_BREAK_BEFORE.has(b) && !NO_BREAK_AFTER.has(a);
+}
+
+// Join source lines into one line of prose: whitespace collapses to a single space, and lines
+// meeting between two CJK characters are joined without one (the line break was not a space).
+function joinProse(lines) {
+  let joined = "";
+  for (const raw of lines) {
+    const l = raw.trim().split(BREAK_SPACE_RE).join(" ");
+    if (!l) continue;
+    if (joined && !(isCJK(lastChar(joined)) && isCJK(firstChar(l)))) joined += " ";
+    joined += l;
+  }
+  return joined;
+}
+
+// ------------------ Inline markup ------------------
+// Inline constructs that must stay on one line: a line break inside them changes their content or
+// breaks their syntax. Macros with link text (link:, xref:, footnote:, URLs with [text], <<id,text>>)
+// and formatting marks may break between words of their text; their target has no spaces, so it always
+// stays with the first word.
+const INLINE_ATOM_RES = [
+  /\+\+\+.+?\+\+\+/,                                                  // +++raw passthrough+++
+  /(?<![\p{L}\p{N}_;:\\])\+\+(?=\S).*?\S\+\+/,                        // ++unconstrained passthrough++
+  /(?<![\p{L}\p{N}_;:\\+])\+(?=[^\s+]).*?[^\s+]\+(?![\p{L}\p{N}_+])/, // +constrained passthrough+
+  /\b(?:pass|kbd|btn|stem|latexmath|asciimath):[\w,]*\[(?:\\.|[^\]\\])*\]/, // pass:[…], kbd:[…], stem:[…]
+  /``(?=\S).*?\S``/,                                                  // ``unconstrained code``
+  /(?<![\p{L}\p{N}_;:\\`])`(?=[^\s`]).*?[^\s`]`(?![\p{L}\p{N}_`])/,   // `constrained code`
+  /\{[\p{L}\p{N}_][\p{L}\p{N}_-]*(?::[^}]*)?\}/                       // {attribute} references
+];
+const INLINE_ATOM_RE = new RegExp(INLINE_ATOM_RES.map(re => re.source).join("|"), "gu");
+
+// Tokens containing inline syntax (macro targets, brackets, passthroughs, URLs) are never hard-split
+const INLINE_SYNTAX_RE = /[[\]{}<>`+]|:\/\//;
+
+// [start, end) ranges of the inline atoms in `text`
+function inlineAtoms(text) {
+  return Array.from(text.matchAll(INLINE_ATOM_RE), m => [m.index, m.index + m[0].length]);
+}
+
+// Words of prose: split at whitespace outside inline atoms. Each word carries the atom ranges it
+// contains (offsets within the word) so that later steps do not break inside them either.
+function splitWords(text) {
+  const atoms = inlineAtoms(text);
+  const words = [];
+  let start = -1;
+  let a = 0;
+  for (let k = 0; k <= text.length; k++) {
+    while (a < atoms.length && atoms[a][1] <= k) a++;
+    const inAtom = a < atoms.length && atoms[a][0] < k;
+    if (k < text.length && (inAtom || !BREAK_SPACE_RE.test(text[k]))) {
+      if (start === -1) start = k;
+      continue;
+    }
+    if (start === -1) continue;
+    const s = start;
+    words.push({
+      text: text.slice(s, k),
+      atoms: atoms.filter(([as, ae]) => as >= s && ae <= k).map(([as, ae]) => [as - s, ae - s])
+    });
+    start = -1;
+  }
+  return words;
+}
+
+// Prose → tokens { text, width, space }, `space` telling whether a space separates the token from the
+// previous one. A space between two CJK characters is not a break, so such words stay together.
+function tokenize(text) {
+  const words = [];
+  for (const w of splitWords(text)) {
+    const prev = words[words.length - 1];
+    if (prev && isCJK(lastChar(prev.text)) && isCJK(firstChar(w.text))) {
+      const offset = prev.text.length + 1;
+      prev.text += " " + w.text;
+      prev.atoms.push(...w.atoms.map(([s, e]) => [s + offset, e + offset]));
+    } else {
+      words.push(w);
+    }
+  }
+
+  const tokens = [];
+  for (const { text: w, atoms } of words) {
+    const insideAtom = p => atoms.some(([s, e]) => s < p && p < e);
+    let piece = "";
+    let space = true;
+    let prev = "";
+    let p = 0;
+    for (const ch of w) {
+      if (piece && canBreakBetween(prev, ch) && !insideAtom(p)) {
+        tokens.push({ text: piece, width: displayWidth(piece), space });
+        piece = "";
+        space = false;
+      }
+      piece += ch;
+      prev = ch;
+      p += ch.length;
+    }
+    tokens.push({ text: piece, width: displayWidth(piece), space });
+  }
+  return tokens;
+}
+
 // ------------------ Wrapping helpers ------------------
-function wrapText(text, width, hangingPrefix = "") {
-  const words = text.split(/\s+/).filter(Boolean);
+// Split a token into chunks of at most `width` columns (by grapheme). A chunk never starts like
+// structure ("1." or "**" followed by the next word): its split point moves back, or goes when none fits.
+function splitByWidth(text, width) {
+  const segs = Array.from(graphemes.segment(text), s => s.segment);
+  const startsSyntax = at => createsSyntax(segs.slice(at).join("") + " x");
+  const chunks = [];
+  let start = 0;
+  while (start < segs.length) {
+    let end = start + 1;
+    let w = graphemeWidth(segs[start]);
+    while (end < segs.length && w + graphemeWidth(segs[end]) <= width) w += graphemeWidth(segs[end++]);
+    let cut = end;
+    while (cut < segs.length && cut > start + 1 && startsSyntax(cut)) cut--;
+    if (cut < segs.length && startsSyntax(cut)) cut = segs.length;
+    chunks.push(segs.slice(start, cut).join(""));
+    start = cut;
+  }
+  return chunks;
+}
+
+// Would `line` (without its hanging indent) parse as something other than prose? Checked against the
+// same patterns the main loop uses, so a wrapped line never turns into a list item, comment, admonition,
+// block title, heading, attribute entry, delimiter or other structural line on the next run.
+function createsSyntax(line) {
+  const l = line.trim();
+  return LIST_RE.test(l) || DEF_LIST_RE.test(l) || LINE_COMMENT_RE.test(l) || ADMON_SINGLE_RE.test(l) ||
+    BLOCK_TITLE_RE.test(l) || BLOCK_ATTR_RE.test(l) || ANCHOR_RE.test(l) || TITLE_RE.test(l) ||
+    ATTR_RE.test(l) || CONDITIONAL_RE.test(l) || INCLUDE_RE.test(l) || BLOCK_MACRO_RE.test(l) ||
+    HR_RE.test(l) || PAGE_RE.test(l) || TABLE_FENCE_RE.test(l) || !!matchDelimiter(l) ||
+    CONTINUATION_LINE_RE.test(l) || MD_QUOTE_RE.test(l);
+}
+
+const HARD_BREAK_RE = /\s\+$/; // a line ending in " +" is a hard line break
+
+const renderTokens = toks => toks.map((t, i) => (i && t.space ? " " : "") + t.text).join("");
+
+// Greedy line filling over tokens → arrays of tokens. `forced`: token indices that must start a line;
+// `banned`: token indices that must not start one (the line goes past the width when no earlier break
+// is allowed).
+function fillLines(tokens, width, forced, banned) {
   const lines = [];
-  let line = "";
-  for (const w of words) {
-    const isUrl = URL_TOKEN_RE.test(w);
-    if (!isUrl && w.length >= width) {
-      // Hard-split long non-URL tokens
-      if (line) { lines.push(line); line = ""; }
-      let s = w;
-      while (s.length > width) { lines.push(s.slice(0, width)); s = s.slice(width); }
-      line = s;
-      continue;
+  let start = 0;
+  let lineWidth = 0;
+  const widthOf = (from, to) => tokens.slice(from, to)
+    .reduce((w, t, k) => w + (k && t.space ? 1 : 0) + t.width, 0);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    const candidate = lineWidth + (i > start && tok.space ? 1 : 0) + tok.width;
+    if (i === start || (!forced.has(i) && candidate <= width)) { lineWidth = candidate; continue; }
+
+    let brk = i;
+    if (!forced.has(i)) {
+      // Prefer to keep very short last word (<=2 columns) with the next line
+      const last = tokens[i - 1];
+      if (last.space && last.width <= 2 && i - 1 > start && !banned.has(i - 1)) brk = i - 1;
+      // Otherwise move the break earlier until it is allowed; if none is, keep the token on this line
+      while (brk > start && banned.has(brk)) brk--;
+      if (brk === start) { lineWidth = candidate; continue; }
     }
-    const candidate = line ? `${line} ${w}` : w;
-    if (candidate.length > width) {
-      // Prefer to keep very short last word (<=2) with the next line
-      if (line) {
-        const parts = line.split(" ");
-        const last = parts[parts.length - 1] || "";
-        if (last.length <= 2 && parts.length > 1) {
-          parts.pop();
-          lines.push(parts.join(" "));
-          line = last + " " + w;
-          continue;
-        }
+    lines.push(tokens.slice(start, brk));
+    start = brk;
+    lineWidth = widthOf(start, i + 1);
+  }
+  if (tokens.length) lines.push(tokens.slice(start));
+  return lines;
+}
+
+// Total-fit line breaking over tokens (minimum raggedness), shaped like fillLines: the breaks minimizing
+// the sum of squared slack of every line but the last, with a penalty for a short word (<=2 columns) left
+// at the end of a line or alone on the last one. Breaks before `banned` tokens cost more than any layout
+// without them, and more than a line past the width that avoids one; a line holds at most the tokens that
+// fit the width (and those before a banned token), so this is O(tokens × width).
+const SHORT_WORD_PENALTY = 50;
+const OVERFLOW_PENALTY = 1e6;
+const BANNED_BREAK_PENALTY = 1e9;
+
+function fitLines(tokens, width, forced, banned) {
+  const n = tokens.length;
+  const cost = new Array(n + 1).fill(Infinity);
+  const from = new Array(n + 1).fill(0);
+  cost[0] = 0;
+  for (let j = 1; j <= n; j++) {
+    const last = j === n;
+    let lineWidth = 0;
+    // Lines [i, j), longest last; a line never spans a forced break and holds one token at least
+    for (let i = j - 1; i >= 0; i--) {
+      lineWidth += tokens[i].width + (i < j - 1 && tokens[i + 1].space ? 1 : 0);
+      if (lineWidth > width && i < j - 1 && !banned.has(i + 1)) break;
+      if (cost[i] < Infinity) {
+        let c = cost[i] + (last ? 0 : Math.max(0, width - lineWidth) ** 2) + Math.max(0, lineWidth - width) * OVERFLOW_PENALTY;
+        const end = tokens[j - 1];
+        if (end.space && end.width <= 2 && (last ? i === j - 1 && i > 0 : i < j - 1)) c += SHORT_WORD_PENALTY;
+        if (i > 0 && banned.has(i)) c += BANNED_BREAK_PENALTY;
+        if (c < cost[j]) { cost[j] = c; from[j] = i; }
       }
-      lines.push(line);
-      line = w;
-    } else {
-      line = candidate;
+      if (forced.has(i)) break;
     }
   }
-  if (line) lines.push(line);
-  return lines.map((l, i) => (i === 0 ? l : hangingPrefix + l)).join("\n");
+
+  const lines = [];
+  for (let j = n; j > 0; j = from[j]) lines.unshift(tokens.slice(from[j], j));
+  return lines;
 }
 
-function reflowParagraph(lines, width) {
-  if (!lines.length) return [];
+// Indices (of the first token of a line) whose line break creates syntax: the line starting there
+// parses as structure, or the line before it ends in a hard line break.
+function syntaxHazards(lines) {
+  const hazards = [];
+  let index = 0;
+  lines.forEach((toks, k) => {
+    if (k > 0 && (createsSyntax(renderTokens(toks)) || HARD_BREAK_RE.test(renderTokens(lines[k - 1])))) {
+      hazards.push(index);
+    }
+    index += toks.length;
+  });
+  return hazards;
+}
+
+// `lineBreaking`: "greedy" fills each line in turn, "optimal" balances the lines of the paragraph.
+function wrapText(text, width, hangingPrefix = "", lineBreaking = "greedy") {
+  // Hard-split long plain tokens (never URLs, macro targets or other inline markup): every chunk
+  // starts a line of its own.
+  const tokens = [];
+  const forced = new Set();
+  for (const tok of tokenize(text)) {
+    if (URL_TOKEN_RE.test(tok.text) || INLINE_SYNTAX_RE.test(tok.text) || tok.width < width) {
+      tokens.push(tok);
+      continue;
+    }
+    splitByWidth(tok.text, width).forEach((chunk, k) => {
+      // The first chunk only starts a line where that is safe, like any other word
+      if (k > 0 || !createsSyntax(chunk + " x")) forced.add(tokens.length);
+      tokens.push({ text: chunk, width: displayWidth(chunk), space: true });
+    });
+  }
+
+  // Ban the breaks that create syntax, all of a layout's at once, and lay out again until no new ones
+  // appear (moving a break can create a new hazard, e.g. "Ctrl +" then "+ Shift"); keep the layout with
+  // the fewest hazards. Only forced breaks can still create one.
+  const fill = lineBreaking === "optimal" ? fitLines : fillLines;
+  const banned = new Set();
+  let lines = fill(tokens, width, forced, banned);
+  let best = { lines, count: syntaxHazards(lines).length };
+  for (;;) {
+    const hazards = syntaxHazards(lines).filter(i => !banned.has(i));
+    if (!hazards.length) break;
+    hazards.forEach(i => banned.add(i));
+    lines = fill(tokens, width, forced, banned);
+    const count = syntaxHazards(lines).length;
+    if (count < best.count) best = { lines, count };
+  }
+
+  return best.lines.map(renderTokens).map((l, i) => (i === 0 ? l : hangingPrefix + l)).join("\n");
+}
+
+// Lay out prose according to the mode: greedy fill, one sentence per line (over-long sentences
+// optionally wrapped at the width) or all on one line ("unwrap").
+function layoutText(text, width, hangingPrefix, opts) {
+  if (opts.mode === "unwrap") return wrapText(text, Infinity, hangingPrefix);
+  if (opts.mode !== "sentences") return wrapText(text, width, hangingPrefix, opts.lineBreaking);
+  // A sentence whose first line would parse as structure stays on the line of the one before it
+  const sentences = [];
+  for (const sentence of splitSentences(text, opts)) {
+    const first = opts.wrapLongSentences ? wrapText(sentence, width, "", opts.lineBreaking).split("\n")[0] : sentence;
+    if (sentences.length && createsSyntax(first)) sentences[sentences.length - 1] += " " + sentence;
+    else sentences.push(sentence);
+  }
+  const lines = [];
+  for (const sentence of sentences) {
+    if (opts.wrapLongSentences) lines.push(...wrapText(sentence, width, "", opts.lineBreaking).split("\n"));
+    else lines.push(sentence);
+  }
+  return lines.map((l, i) => (i === 0 ? l : hangingPrefix + l)).join("\n");
+}
 
-  // List item with hanging indent
-  const mList = lines[0].match(LIST_RE);
+// Head of a list or definition list item: the marker text kept on the first line, the width of the
+// hanging indent for the following lines (the item's text column) and the text after the head.
+function listItemHead(line, tabSize) {
+  const mList = line.match(LIST_RE);
   if (mList) {
     const indent = mList[1] ?? "";
     const marker = mList[2];
-    let rest0  = mList[3] ?? "";
+    let text = mList[3] ?? "";
 
     // Detect checklist prefix immediately after the list marker: [ ], [x], [X], [-]
     let checklist = "";
-    const mChk = rest0.match(/^\[(?: |x|X|-)\]\s+/);
+    const mChk = text.match(/^\[(?: |x|X|-)\]\s+/);
     if (mChk) {
       checklist = mChk[0];               // includes trailing space
-      rest0 = rest0.slice(checklist.length);
+      text = text.slice(checklist.length);
     }
 
     const head = indent + marker + " " + checklist; // e.g. "* [x] "
-    const hangingLen = Math.max(head.length, checklist ? 8 : head.length);
-    const hanging = " ".repeat(hangingLen);
-    const body = [rest0, ...lines.slice(1).map(l => l.trim())]
-      .join(" ")
-      .replace(/\s+/g, " ")
-      .trim();
-    const wrapped = wrapText(body, Math.max(20, width - hangingLen), hanging);
-    return [head + wrapped];
-  }
-
-  // Definition list item with hanging indent after "Term:: "
-  const mDef = lines[0].match(DEF_LIST_RE);
+    const headWidth = displayWidth(head, tabSize);
+    const hangingLen = Math.max(headWidth, checklist ? 8 : headWidth);
+    return { head, hangingLen, text };
+  }
+
+  // Definition list item with hanging indent after "Term:: " (or "Term::: ", "Term;; ", ...)
+  const mDef = line.match(DEF_LIST_RE);
   if (mDef) {
     const indent = mDef[1] ?? "";
     const term   = mDef[2].trim();
-    const rest0  = mDef[3] ?? "";
-    const head   = `${indent}${term}:: `;
-    const hanging = " ".repeat(head.length);
-    const joined = [rest0, ...lines.slice(1).map(l => l.trim())].join(" ").replace(/\s+/g, " ").trim();
-    const wrapped = wrapText(joined, Math.max(20, width - hanging.length), hanging);
-    return [head + wrapped];
+    const head   = `${indent}${term}${mDef[3]} `;
+    return { head, hangingLen: displayWidth(head, tabSize), text: mDef[4] ?? "" };
   }
+  return null;
+}
+
+// Head of an admonition paragraph ("NOTE: "), shaped like listItemHead
+function admonitionHead(line, opts) {
+  const mAd = line.match(ADMON_SINGLE_RE);
+  if (!mAd) return null;
+  const head = `${mAd[1]}: `;
+  return { head, hangingLen: opts.admonitionIndent === "flush" ? 0 : displayWidth(head), text: mAd[2] || "" };
+}
+
+// `plain` paragraphs never get a hanging indent, even when they start like a list item ("M. Glushkov").
+function reflowParagraph(lines, width, opts, plain = false) {
+  if (!lines.length) return [];
 
   // Respect hard line breaks (trailing " +")
-  if (lines.some(l => /\s\+$/.test(l))) return lines;
+  if (lines.some(l => HARD_BREAK_RE.test(l))) return lines;
 
-  // Normal paragraph
-  const joined = lines.map(l => l.trim()).join(" ").replace(/\s+/g, " ").trim();
+  // List, definition list or admonition paragraph with hanging indent
+  const item = plain ? null : listItemHead(lines[0], opts.tabSize) || admonitionHead(lines[0], opts);
+  // A definition written below its term ("Question?::" then "  Answer") keeps that layout
+  if (item && !item.text.trim() && lines.length > 1 && DEF_LIST_RE.test(lines[0])) {
+    const indent = lines[1].match(/^[ \t]*/)[0];
+    const body = joinProse(lines.slice(1));
+    const textWidth = Math.max(20, width - indentWidth(indent, opts.tabSize));
+    return [item.head.trimEnd(), indent + layoutText(body, textWidth, indent, opts)];
+  }
+  if (item) {
+    const hanging = " ".repeat(item.hangingLen);
+    const body = joinProse([item.text, ...lines.slice(1)]);
+    if (!body) return [item.head];
+    const textWidth = Math.max(20, width - item.hangingLen);
+    // A head wider than the hanging indent (flush-left admonitions) shares the first line with the text
+    if (item.hangingLen < displayWidth(item.head, opts.tabSize)) {
+      return [layoutText(item.head + body, textWidth, hanging, opts)];
+    }
+    return [item.head + layoutText(body, textWidth, hanging, opts)];
+  }
+
+  // Normal paragraph; joining must not turn its first line into structure ("NOTE:" and "Some text" into
+  // an admonition), so such a line is kept as written
+  const joined = joinProse(lines);
   if (!joined) return [""];
-  return wrapText(joined, width).split("\n");
+  const out = layoutText(joined, width, "", opts).split("\n");
+  if (lines.length > 1 && createsSyntax(out[0]) && !createsSyntax(lines[0])) {
+    return [lines[0], ...reflowParagraph(lines.slice(1), width, opts, true)];
+  }
+  return out;
 }
 
-// Collect a single list/def-list item; mark complex cases (nested lists, continuation '+', indented code)
-function collectListItem(srcLines, i) {
-  const first = srcLines[i];
-  const mTop = first.match(LIST_RE) || first.match(DEF_LIST_RE);
-  if (!mTop) return { lines: [first], next: i + 1, complex: false };
+// Display width of a line's leading whitespace
+const indentWidth = (line, tabSize) => displayWidth(line.match(/^[ \t]*/)[0], tabSize);
 
-  const topIndent = (mTop[1] ?? "").length;
-  const topMarker = mTop[2] || "";
-  const topDepth  = markerDepth(topMarker);
+// Lines that always end the text of a paragraph or list item
+function isBlockBoundary(line) {
+  const t = line.trim();
+  return !t || TABLE_FENCE_RE.test(t) || !!matchDelimiter(line) || HR_RE.test(t) || PAGE_RE.test(t) ||
+    LINE_COMMENT_RE.test(line) || CONTINUATION_LINE_RE.test(line) ||
+    TITLE_RE.test(line) || ATTR_RE.test(line) || BLOCK_TITLE_RE.test(line) || BLOCK_ATTR_RE.test(line) ||
+    ANCHOR_RE.test(line) || CONDITIONAL_RE.test(line) || INCLUDE_RE.test(line) || BLOCK_MACRO_RE.test(line);
+}
 
-  const lines = [first];
+const isListLine = line => LIST_RE.test(line) || DEF_LIST_RE.test(line);
+
+// Marker of a list or definition list item: its indent, a level key (style + depth, so "*" and "**",
+// "1." and "a.", "::" and ":::" are different levels) and whether it could as well be a prose line.
+function itemMarker(line) {
+  const mList = line.match(LIST_RE);
+  if (mList) {
+    const style = markerStyle(mList[2]);
+    return { indent: mList[1].length, style, level: style + markerDepth(mList[2]), def: false,
+             ambiguous: /^[AIi.]$/.test(style), first: /^(A\.|[iI]\))$/.test(mList[2]) };
+  }
+  const mDef = line.match(DEF_LIST_RE);
+  if (mDef) return { indent: mDef[1].length, style: mDef[3], level: mDef[3], def: true, ambiguous: false };
+  return null;
+}
+
+// Does `line` start a new item inside running text (a paragraph or an item's own text)? Uppercase
+// lettered, roman numeral and implicit ordered markers also begin ordinary wrapped lines ("M. Glushkov",
+// "... and so on"), so they only do inside a list that already uses their style (". Step" → ".. Substep").
+function interruptsText(line, levels = []) {
+  const m = itemMarker(line);
+  return !!m && (!m.ambiguous || levels.some(level => level.startsWith(m.style)));
+}
+
+// Does `line` open a list item at the start of a block? An uppercase lettered or roman numeral item
+// only does as the first item of its list ("A.", "i)", "I)") or after an item of the same `prevLevel`,
+// so a paragraph starting with "M. Glushkov" stays a paragraph.
+function opensList(line, prevLevel) {
+  const m = itemMarker(line);
+  return !!m && (!m.ambiguous || m.style === "." || m.first || m.level === prevLevel);
+}
+
+// Is `line` a child of the item with marker `top`, below the open list `levels` (outermost first)?
+// Nested if indent grows, or at the same indent if its level is new (e.g., '*' → '**', '1.' → 'a.');
+// list items under a definition term are nested too. A level already open is a sibling or parent item.
+function isChildItem(top, line, levels) {
+  const m = itemMarker(line);
+  if (m.indent > top.indent) return true;
+  if (m.def && !top.def) return false;
+  return m.level !== top.level && !levels.includes(m.level);
+}
+
+// End (exclusive) of the block attached to a list item by a "+" line at `start - 1`:
+// optional block attributes/title/anchor, then a delimited block, a table or a paragraph.
+function attachedBlockEnd(srcLines, start) {
+  let j = start;
+  while (j < srcLines.length && (BLOCK_ATTR_RE.test(srcLines[j]) || BLOCK_TITLE_RE.test(srcLines[j]) ||
+         ANCHOR_RE.test(srcLines[j]))) j++;
+  if (j >= srcLines.length) return j;
+
+  const t = srcLines[j].trim();
+  const delim = matchDelimiter(srcLines[j]) || (TABLE_FENCE_RE.test(t) ? { delimiter: "|===" } : null);
+  if (delim) {
+    const close = findClosingDelimiter(srcLines, j + 1, delim.delimiter);
+    return close === -1 ? srcLines.length : close + 1;
+  }
+  while (j < srcLines.length && !isBlockBoundary(srcLines[j]) && !interruptsText(srcLines[j])) j++;
+  return j;
+}
+
+// ------------------ Block structure ------------------
+// parseBlocks() returns the document as a tree of typed blocks. Every node has a `type` and a source line
+// range [start, end) (0-based line numbers, end exclusive); containers have `children`.
+//   header (children)            document header: document-title, author, revision, attribute, include,
+//                                comment, ...
+//   section-title (level)        "== Section"
+//   paragraph (verbatim)         prose; verbatim for literal, [source]/[verse]/... styled or hardbreaks
+//   admonition (label)           "NOTE: ..." paragraph
+//   list (level, children)       consecutive list-item nodes of one level (and the blank lines between them)
+//   list-item (level, textEnd, verbatim, children)
+//                                marker line and text up to textEnd, then nested items and attached blocks
+//   delimited (kind, delimiter, verbatim, closed, children)
+//                                ----, ...., ++++, ////, ====, ****, ____, --, ```; compound blocks have children
+//   quote (children)             Markdown-style "> " lines; children are parsed from the lines without "> "
+//   table (closed)               |=== ... |===
+//   attribute (name)             ":name: value", with soft-wrapped value lines
+//   comment (prefix)             line comments; a run of prose comments with the same prefix ("// ") is one
+//                                node with its prefix, reflowed as a paragraph
+//   directive (name), raw (lines a directive keeps as written), block-attributes, block-title,
+//   anchor, conditional, include, block-macro, continuation, thematic-break, page-break, indented, blank
+// Blocks that follow a block attribute line carry its `attrs` ({ style, roles, options }).
+
+// Parse a list/def-list item at `i` as a list-item node:
+//   its own text (marker line plus continuation lines) up to textEnd,
+//   children — what follows it inside the item, in order: nested list-item nodes, blocks attached
+//              with "+" and indented literal lines (parsed like any other lines).
+// The item ends at a blank line, a sibling/parent item or any other structural line.
+// `levels` are the list levels of the enclosing items, outermost first.
+function parseListItem(srcLines, i, offset, opts, state, levels = []) {
+  const first = srcLines[i];
+  const top = itemMarker(first);
+  const openLevels = [...levels, top.level];
+  const head = listItemHead(first, opts.tabSize);
+  const node = { type: "list-item", start: offset + i, end: 0, textEnd: 0, level: top.level,
+                 verbatim: state.hardbreaks, children: [] };
   let j = i + 1;
-  let complex = false;
 
+  // Item text. Lines indented past the text column that look like code are literal lines, not text;
+  // a "Term::"-looking line aligned with the text column is wrapped text (e.g. "the Term:: prefix").
+  const isLiteral = line => INDENTED_CODE_RE.test(line) && indentWidth(line, opts.tabSize) > head.hangingLen;
+  const isWrappedText = line => !LIST_RE.test(line) && indentWidth(line, opts.tabSize) === head.hangingLen;
   while (j < srcLines.length) {
     const line = srcLines[j];
-    const t = line.trim();
+    if (isBlockBoundary(line) || isLiteral(line)) break;
+    if (interruptsText(line, openLevels) && !isWrappedText(line)) break;
+    j++;
+  }
+  node.textEnd = offset + j;
 
-    // Structural boundaries / starts
-    if (/^\s*$/.test(line)) break;
-    if (COMMENT_BLOCK_FENCE_RE.test(t)) break;
-    if (TABLE_FENCE_RE.test(t)) break;
-    if (FENCE_RE.test(t) || OPEN_BLOCK_RE.test(t)) break;
-    if (HR_RE.test(t) || PAGE_RE.test(t)) break;
-    if (TITLE_RE.test(line) || ATTR_RE.test(line) || BLOCK_TITLE_RE.test(line) || BLOCK_ATTR_RE.test(line) ||
-        ANCHOR_RE.test(line) || CONDITIONAL_RE.test(line) || INCLUDE_RE.test(line) || BLOCK_MACRO_RE.test(line)) break;
-
-    if (CONTINUATION_LINE_RE.test(line)) { complex = true; lines.push(line); j++; break; }
-
-    const mList = line.match(LIST_RE);
-    const mDef  = line.match(DEF_LIST_RE);
-    if (mList || mDef) {
-      const indent = (mList ? mList[1] : mDef[1]) ?? "";
-      // nested if indent grows OR same indent with deeper marker (e.g., '*' → '**')
-      if (indent.length <= topIndent && mList) {
-        const d = markerDepth(mList[2] || "");
-        if (d <= topDepth) break; // sibling/parent → stop
-      } else if (indent.length <= topIndent && mDef) {
-        break;
-      }
-      complex = true; lines.push(line); j++; continue; // nested → keep as-is
+  const parsePart = end => {
+    node.children.push(...parseLines(srcLines.slice(j, end), offset + j, opts, state));
+    j = end;
+  };
+  while (j < srcLines.length) {
+    const line = srcLines[j];
+
+    if (CONTINUATION_LINE_RE.test(line)) { parsePart(attachedBlockEnd(srcLines, j + 1)); continue; }
+
+    if (isListLine(line)) {
+      if (!isChildItem(top, line, levels)) break; // sibling/parent → stop
+      const child = parseListItem(srcLines, j, offset, opts, state, openLevels);
+      node.children.push(child.node);
+      j = child.next;
+      continue;
     }
 
-    if (INDENTED_CODE_RE.test(line)) { complex = true; lines.push(line); j++; continue; }
+    if (isLiteral(line)) {
+      let end = j;
+      while (end < srcLines.length && INDENTED_CODE_RE.test(srcLines[end])) end++;
+      parsePart(end);
+      continue;
+    }
 
-    lines.push(line); j++;
+    break;
   }
 
-  return { lines, next: j, complex };
+  node.end = offset + j;
+  return { node, next: j };
 }
 
-// Main reflow
-function reflowTextAdoc(input, width) {
-  const out = [];
-  let para = [];
-  let inFence = false;
-  let inOpen = false;
-  let inTable = false;
-  let inCommentBlock = false;
-  let inLiteralPara = false;          // paragraph that started with leading space
-  const endsWithNL = /\r?\n$/.test(input);
+// End (exclusive) of the block after a "skip-next" directive at `start - 1`: blank lines, block
+// attributes, titles and anchors before it, then a delimited block or table up to its closing
+// delimiter, or any other block up to the next blank line.
+function skippedBlockEnd(srcLines, start) {
+  let j = start;
+  while (j < srcLines.length && (!srcLines[j].trim() || BLOCK_ATTR_RE.test(srcLines[j]) ||
+         BLOCK_TITLE_RE.test(srcLines[j]) || ANCHOR_RE.test(srcLines[j]))) j++;
+  if (j >= srcLines.length) return j;
+  const delim = matchDelimiter(srcLines[j]) || (TABLE_FENCE_RE.test(srcLines[j].trim()) ? { delimiter: "|===" } : null);
+  if (delim) {
+    const close = findClosingDelimiter(srcLines, j + 1, delim.delimiter);
+    return close === -1 ? srcLines.length : close + 1;
+  }
+  while (j < srcLines.length && srcLines[j].trim()) j++;
+  return j;
+}
 
-  const flush = () => {
-    if (!para.length) return;
-    out.push(...reflowParagraph(para, width));
-    para = [];
+// Comment text that stays on its own line: tool directives and commented-out markup
+const COMMENT_DIRECTIVE_RE =
+  /^(?:[\w-]+::\S*\[.*\]|(?:adoc-reflow|vale|cspell|spell-checker|codespell|markdownlint|textlint|prettier)\b.*)$/i;
+
+// Prefix ("// ", indented or with more spaces) of a line comment holding prose, or null
+function commentPrefix(line) {
+  const m = line.match(/^([ \t]*\/\/ +)(\S.*)$/);
+  if (!m || COMMENT_DIRECTIVE_RE.test(m[2]) || createsSyntax(m[2]) || isBlockBoundary(m[2])) return null;
+  return m[1];
+}
+
+// Type of a structural single-line boundary, or null
+function boundaryType(line) {
+  const t = line.trim();
+  if (BLOCK_TITLE_RE.test(line)) return "block-title";
+  if (ANCHOR_RE.test(line)) return "anchor";
+  if (CONDITIONAL_RE.test(line)) return "conditional";
+  if (INCLUDE_RE.test(line)) return "include";
+  if (BLOCK_MACRO_RE.test(line)) return "block-macro";
+  if (CONTINUATION_LINE_RE.test(line)) return "continuation";
+  if (HR_RE.test(t)) return "thematic-break";
+  if (PAGE_RE.test(t)) return "page-break";
+  return null;
+}
+
+// Parse a run of source lines (the whole document body or the content of a compound block) into nodes.
+// `offset` is the line number of src[0]; `state` holds document-wide state set by attribute entries
+// ({ hardbreaks }).
+function parseLines(src, offset, opts, state) {
+  const nodes = [];
+  let para = null;              // open paragraph node
+  let inVerbatimPara = false;   // literal paragraph (leading space), verbatim style or hard breaks
+  let pending = null;           // block attributes waiting for the next block
+  let listLevel = null;         // level of the last top-level list item, until the next paragraph
+
+  const takeAttrs = () => { const attrs = pending; pending = null; return attrs; };
+  const keepsLineBreaks = attrs => state.hardbreaks || hasHardbreaks(attrs) || isVerbatimStyle(attrs);
+  const add = (type, i, end, props) => {
+    para = null;
+    const node = { type, start: offset + i, end: offset + end, ...props };
+    nodes.push(node);
+    return node;
+  };
+  // Extend the last node by one line if it has `type` and ends at line `i`, else add a new one
+  const extend = (type, i, props) => {
+    const last = nodes[nodes.length - 1];
+    if (last && last.type === type && last.end === offset + i) { last.end++; return last; }
+    return add(type, i, i + 1, props);
   };
 
-  const src = input.split(/\r?\n/);
   for (let i = 0; i < src.length; i++) {
     const line = src[i];
     const t = line.trim();
 
-    // Comment block toggle
-    if (COMMENT_BLOCK_FENCE_RE.test(t)) { flush(); out.push(line); inCommentBlock = !inCommentBlock; continue; }
-    if (inCommentBlock) { out.push(line); continue; }
+    // Tables (an unclosed table runs to the end of the input)
+    if (TABLE_FENCE_RE.test(t)) {
+      const close = findClosingDelimiter(src, i + 1, "|===");
+      const end = close === -1 ? src.length : close + 1;
+      add("table", i, end, { closed: close !== -1, attrs: takeAttrs() });
+      i = end - 1;
+      continue;
+    }
 
-    // Single-line comment
-    if (LINE_COMMENT_RE.test(line)) { flush(); out.push(line); continue; }
+    // Delimited blocks: verbatim content stays as it is, compound content is parsed recursively
+    // (unless a verbatim style such as [verse] or [source] masquerades the block).
+    // An unclosed block runs to the end of the input.
+    const delim = matchDelimiter(line);
+    if (delim) {
+      inVerbatimPara = false;
+      const attrs = takeAttrs();
+      const verbatim = (delim.verbatim && !(delim.kind === "comment" && opts.reflowCommentBlocks)) ||
+        isVerbatimStyle(attrs);
+      const close = findClosingDelimiter(src, i + 1, delim.delimiter);
+      const end = close === -1 ? src.length : close;
+      const block = add("delimited", i, close === -1 ? end : close + 1,
+        { kind: delim.kind, delimiter: delim.delimiter, verbatim, closed: close !== -1, attrs });
+      if (!verbatim) block.children = parseLines(src.slice(i + 1, end), offset + i + 1, opts, state);
+      i = end;
+      continue;
+    }
+
+    // Directives: "off" keeps everything up to "// adoc-reflow: on" (or the end) as written, "skip-next"
+    // keeps the next block: up to its closing delimiter or the next blank line
+    const directive = line.match(DIRECTIVE_RE);
+    if (directive && directive[1] === "off") {
+      let j = i + 1;
+      while (j < src.length && (src[j].match(DIRECTIVE_RE) || [])[1] !== "on") j++;
+      add("directive", i, i + 1, { name: "off" });
+      if (j > i + 1) add("raw", i + 1, j);
+      if (j < src.length) add("directive", j, j + 1, { name: "on" });
+      i = j;
+      continue;
+    }
+    if (directive && directive[1] === "skip-next") {
+      const end = skippedBlockEnd(src, i + 1);
+      add("directive", i, i + 1, { name: "skip-next" });
+      if (end > i + 1) add("raw", i + 1, end);
+      i = end - 1;
+      continue;
+    }
+
+    // Line comments: a run of prose comments with the same prefix is reflowed like a paragraph
+    if (LINE_COMMENT_RE.test(line)) {
+      const prefix = commentPrefix(line);
+      let j = i + 1;
+      while (prefix && j < src.length && src[j].startsWith(prefix) && commentPrefix(src[j]) === prefix) j++;
+      add("comment", i, j, prefix ? { prefix } : {});
+      i = j - 1;
+      continue;
+    }
+
+    // Block attribute list: remember style and options for the next block
+    if (BLOCK_ATTR_RE.test(line)) {
+      const attrs = parseBlockAttrs(line);
+      pending = mergeBlockAttrs(pending, attrs);
+      add("block-attributes", i, i + 1, { attrs });
+      continue;
+    }
 
     // Structural single-line boundaries
-    if (BLOCK_TITLE_RE.test(line) || BLOCK_ATTR_RE.test(line) ||
-        ANCHOR_RE.test(line) || CONDITIONAL_RE.test(line) ||
-        INCLUDE_RE.test(line) || BLOCK_MACRO_RE.test(line) ||
-        HR_RE.test(t) || PAGE_RE.test(t)) {
-      flush(); out.push(line); continue;
-    }
-
-    // Table fences
-    if (TABLE_FENCE_RE.test(t)) { flush(); out.push(line); inTable = !inTable; continue; }
-    if (inTable) { out.push(line); continue; }
-
-    // Fences & open blocks
-    if (FENCE_RE.test(t)) { flush(); out.push(line); inFence = !inFence; continue; }
-    if (OPEN_BLOCK_RE.test(t)) { flush(); out.push(line); inOpen = !inOpen; continue; }
-
-    // Blank line → end paragraph (normal or literal)
-    if (/^\s*$/.test(line)) {
-      const isLast = (i === src.length - 1);
-      if (inLiteralPara) inLiteralPara = false;
-      flush();
-      if (!(isLast && line === "")) {
-        out.push("");
-      }
+    const boundary = boundaryType(line);
+    if (boundary) { add(boundary, i, i + 1); continue; }
+
+    // Blank lines end paragraphs (normal or literal)
+    if (!t) {
+      inVerbatimPara = false;
+      extend("blank", i);
+      para = null;
+      continue;
+    }
+
+    // Section titles
+    if (TITLE_RE.test(line)) {
+      add("section-title", i, i + 1, { level: line.match(/^=+/)[0].length - 1, attrs: takeAttrs() });
+      continue;
+    }
+
+    // Attribute entries, with their soft-wrapped value lines
+    if (ATTR_RE.test(line)) {
+      takeAttrs();
+      const end = attributeEntryEnd(src, i);
+      add("attribute", i, end, { name: attributeName(line) });
+      trackAttribute(line, state);
+      i = end - 1;
       continue;
     }
 
-    // Non-reflowable contexts and lines
-    if (inFence || inOpen || TITLE_RE.test(line) || ATTR_RE.test(line)) { flush(); out.push(line); continue; }
+    // Markdown-style quote: consecutive "> " lines, their content parsed like a compound block
+    if (!para && !inVerbatimPara && MD_QUOTE_RE.test(line)) {
+      let j = i + 1;
+      while (j < src.length && MD_QUOTE_RE.test(src[j])) j++;
+      const content = src.slice(i, j).map(l => l.replace(MD_QUOTE_PREFIX_RE, ""));
+      add("quote", i, j, { attrs: takeAttrs(), children: parseLines(content, offset + i, opts, state) });
+      i = j - 1;
+      continue;
+    }
 
     // Literal paragraph (first non-blank line begins with a space)
-    if (!para.length && !inLiteralPara && LEADING_SPACE_LINE_RE.test(line)) {
-      flush(); inLiteralPara = true; out.push(line); continue;
-    }
-    if (inLiteralPara) { out.push(line); continue; }
-
-    // Single-line admonition with hanging indent
-    const mAd = line.match(ADMON_SINGLE_RE);
-    if (mAd) {
-      flush();
-      const label = mAd[1];
-      const body  = mAd[2] || "";
-      const prefix = `${label}: `;
-      const hanging = " ".repeat(prefix.length);
-      const wrapped = body
-        ? prefix + wrapText(body.trim(), Math.max(20, width - hanging.length), hanging)
-        : prefix;
-      out.push(wrapped);
+    if (!para && !inVerbatimPara && LEADING_SPACE_LINE_RE.test(line)) {
+      add("paragraph", i, i + 1, { verbatim: true, attrs: takeAttrs() });
+      inVerbatimPara = true;
       continue;
     }
+    if (inVerbatimPara) { extend("paragraph", i, { verbatim: true }); continue; }
 
-    // Lists and definition lists: collect complete item
-    if (LIST_RE.test(line) || DEF_LIST_RE.test(line)) {
-      flush();
-      const { lines, next, complex } = collectListItem(src, i);
-      if (complex) out.push(...lines); else out.push(...reflowParagraph(lines, width));
+    // Paragraph styled verbatim ([source], [verse], ...) or with hard breaks: keep its lines as written
+    if (!para && keepsLineBreaks(pending) && !opensList(line, listLevel)) {
+      add("paragraph", i, i + 1, { verbatim: true, attrs: takeAttrs() });
+      inVerbatimPara = true;
+      continue;
+    }
+
+    // Admonition paragraph: up to the next blank line or structural line. Lines indented past its text
+    // column that look like code end it, as in list items.
+    const admon = admonitionHead(line, opts);
+    if (admon) {
+      let j = i + 1;
+      while (j < src.length && !isBlockBoundary(src[j]) && !interruptsText(src[j]) && !ADMON_SINGLE_RE.test(src[j]) &&
+             !(INDENTED_CODE_RE.test(src[j]) && indentWidth(src[j], opts.tabSize) > admon.hangingLen)) j++;
+      add("admonition", i, j, { label: line.match(ADMON_SINGLE_RE)[1], attrs: takeAttrs() });
+      i = j - 1;
+      continue;
+    }
+
+    // Lists and definition lists: the complete item with nested items and attached blocks. Items of the
+    // same level as the list before (with only blank lines between) continue it.
+    // Inside a paragraph, markers that may be prose ("M. Glushkov") do not start a list.
+    if (para ? interruptsText(line) : opensList(line, listLevel)) {
+      const attrs = takeAttrs();
+      const { node: item, next } = parseListItem(src, i, offset, opts, state);
+      let blanks = 0;
+      while (blanks < nodes.length && nodes[nodes.length - 1 - blanks].type === "blank") blanks++;
+      const prev = nodes[nodes.length - 1 - blanks];
+      if (prev && prev.type === "list" && prev.level === item.level && listLevel === item.level) {
+        prev.children.push(...nodes.splice(nodes.length - blanks, blanks), item);
+        prev.end = item.end;
+        para = null;
+      } else {
+        add("list", i, next, { level: item.level, attrs, children: [item] });
+      }
+      listLevel = item.level;
       i = next - 1;
       continue;
     }
 
     // Indented code line (defensive)
-    if (INDENTED_CODE_RE.test(line)) { flush(); out.push(line); continue; }
+    if (INDENTED_CODE_RE.test(line)) { takeAttrs(); extend("indented", i); continue; }
 
     // Normal paragraph line → accumulate
-    para.push(line);
+    const attrs = takeAttrs();
+    listLevel = null;
+    if (para) para.end++;
+    else para = add("paragraph", i, i + 1, { verbatim: false, attrs });
+  }
+  return nodes;
+}
+
+// ------------------ Document header and attribute entries ------------------
+const DOC_TITLE_RE = /^=[ \t]+\S/;    // "= Document Title" (level 0)
+const SOFT_WRAP_RE = /[ \t]\\$/;     // attribute value continued on the next line ("value \")
+const ATTR_HARD_BREAK_RE = /[ \t]\+(?:[ \t]\\)?$/; // value with a hard line break ("value + \")
+const ATTR_ENTRY_RE = /^(:[^:\s][^:]*:)(?:[ \t]+(.*))?$/;
+const REFLOW_ATTR_RE = /^:(!?)reflow-(width|mode)(!?):(?:[ \t]+(.*?))?[ \t]*$/; // :reflow-width: 100
+
+const attributeName = line => line.match(/^:!?([^:!]*)/)[1];
+
+// End (exclusive) of the attribute entry starting at `start`, including soft-wrapped value lines; a
+// blank line or `end` stops the value
+function attributeEntryEnd(srcLines, start, end = srcLines.length) {
+  let j = start;
+  while (j < end - 1 && SOFT_WRAP_RE.test(srcLines[j]) && srcLines[j + 1].trim()) j++;
+  return j + 1;
+}
+
+// Attribute entries that change how the rest of the document is parsed: hard breaks on or off
+function trackAttribute(line, state) {
+  const mHb = line.match(HARDBREAKS_ATTR_RE);
+  if (mHb) state.hardbreaks = !mHb[1] && !mHb[2];
+}
+
+// Keep an attribute entry as written, or with `wrapAttributeValues` rewrap its value at the width
+// using "\" continuations. Values with hard line breaks are always kept.
+function reflowAttributeEntry(lines, width, opts) {
+  const m = lines[0].match(ATTR_ENTRY_RE);
+  if (!opts.wrapAttributeValues || !m || !m[2] || lines.some(l => ATTR_HARD_BREAK_RE.test(l))) return lines;
+
+  const value = lines.map(l => l.replace(SOFT_WRAP_RE, "").trim()).join(" ").slice(m[1].length).trim();
+  const words = [m[1], ...value.split(/[ \t]+/)];
+  const out = [];
+  let line = "";
+  for (const word of words) {
+    // Every line but the last ends in " \", so leave room for it
+    if (line && displayWidth(line + " " + word + " \\", opts.tabSize) > width) {
+      out.push(line + " \\");
+      line = word;
+    } else {
+      line = line ? line + " " + word : word;
+    }
+  }
+  out.push(line);
+  return out;
+}
+
+// :reflow-width: and :reflow-mode: override the configured width and mode from here on (for the whole
+// file when set in the header); unsetting them (":reflow-width!:") restores the configured value.
+// Invalid values are ignored, and so are both when unwrapping.
+function setReflowAttribute(doc, name, value) {
+  if (doc.configured.mode === "unwrap") return;
+  if (name === "width") {
+    const w = Number(value);
+    if (value == null) doc.width = doc.configured.width;
+    else if (Number.isInteger(w) && w >= 20) doc.width = w;
+  } else if (value == null) doc.mode = doc.configured.mode;
+  else if (value === "fill" || value === "sentences") doc.mode = value;
+}
+
+// End (exclusive) of the document header: optional comments and attribute entries, the "= Title" line
+// and the author, revision and attribute lines up to the first blank line. 0 when there is no header.
+function documentHeaderEnd(srcLines) {
+  let i = 0;
+  while (i < srcLines.length) {
+    const line = srcLines[i];
+    const delim = matchDelimiter(line);
+    if (delim && delim.kind === "comment") {
+      const close = findClosingDelimiter(srcLines, i + 1, delim.delimiter);
+      if (close === -1) return 0;
+      i = close + 1;
+    } else if (ATTR_RE.test(line)) {
+      i = attributeEntryEnd(srcLines, i);
+    } else if (!line.trim() || LINE_COMMENT_RE.test(line)) {
+      i++;
+    } else break;
+  }
+  if (i >= srcLines.length || !DOC_TITLE_RE.test(srcLines[i])) return 0;
+  // The header ends at the first blank line, or before a delimiter other than a comment block closed
+  // within it (a listing right after the title is body content)
+  let j = i + 1;
+  while (j < srcLines.length && srcLines[j].trim()) {
+    const delim = matchDelimiter(srcLines[j]);
+    if (delim) {
+      const close = findClosingDelimiter(srcLines, j + 1, delim.delimiter);
+      const blank = srcLines.slice(j + 1, close).some(l => !l.trim());
+      if (delim.kind !== "comment" || close === -1 || blank) break;
+      j = close;
+    }
+    j++;
+  }
+  return j;
+}
+
+// Header lines up to `end`: the author line directly follows the title, the revision line the author
+function parseHeader(srcLines, end, state) {
+  const nodes = [];
+  let after = null; // type of the last title/author/revision line
+  for (let i = 0; i < end; i++) {
+    const line = srcLines[i];
+    const delim = matchDelimiter(line);
+    const close = delim ? findClosingDelimiter(srcLines, i + 1, delim.delimiter) : -1;
+    if (delim && close !== -1 && close < end) {
+      nodes.push({ type: "delimited", start: i, end: close + 1, kind: delim.kind, delimiter: delim.delimiter,
+                   verbatim: true, closed: true, attrs: null });
+      i = close;
+    } else if (ATTR_RE.test(line)) {
+      const next = attributeEntryEnd(srcLines, i, end);
+      nodes.push({ type: "attribute", start: i, end: next, name: attributeName(line) });
+      trackAttribute(line, state);
+      i = next - 1;
+    } else if (INCLUDE_RE.test(line)) {
+      nodes.push({ type: "include", start: i, end: i + 1 });
+    } else {
+      let type = !line.trim() ? "blank" : LINE_COMMENT_RE.test(line) ? "comment" : "text";
+      if (DOC_TITLE_RE.test(line) && !after) type = after = "document-title";
+      else if (type === "text" && after === "document-title") type = after = "author";
+      else if (type === "text" && after === "author") type = after = "revision";
+      nodes.push({ type, start: i, end: i + 1 });
+    }
+  }
+  return nodes;
+}
+
+// Parse an AsciiDoc document into a tree of blocks (see "Block structure" above). The document node
+// also holds the source `lines`; a final newline does not start another line.
+function parseBlocks(input, options) {
+  const opts = normalizeOptions(options);
+  const lines = input.split(/\r?\n/);
+  if (/\r?\n$/.test(input)) lines.pop();
+  const state = { hardbreaks: false };
+  const children = [];
+
+  const headerEnd = documentHeaderEnd(lines);
+  if (headerEnd) {
+    children.push({ type: "header", start: 0, end: headerEnd, children: parseHeader(lines, headerEnd, state) });
+  }
+  children.push(...parseLines(lines.slice(headerEnd), headerEnd, opts, state));
+  return { type: "document", start: 0, end: lines.length, lines, children };
+}
+
+// ------------------ Rendering ------------------
+// Render nodes back to lines: prose is reflowed, everything else is kept as written. `doc` holds the
+// width and mode, which :reflow-width: and :reflow-mode: change as rendering passes them, and optionally
+// `edits`, which collects the source ranges whose lines changed.
+function renderBlocks(nodes, lines, opts, doc) {
+  const out = [];
+  for (const node of nodes) out.push(...renderBlock(node, lines, opts, doc));
+  return out;
+}
+
+// Record the replacement of the source lines `src` starting at `start` by `out` when they differ, and
+// the lines as ones reflow may change; `markup` matches characters the reflow may add or drop (the
+// ">" of quote lines, the "//" of comments). Returns `out` as single lines (layouts return wrapped text).
+function recordEdit(doc, start, src, layout, markup) {
+  const out = layout.join("\n").split("\n");
+  if (doc.blocks) doc.blocks.push({ start, end: start + src.length, markup });
+  if (doc.edits && (out.length !== src.length || out.some((line, k) => line !== src[k]))) {
+    doc.edits.push(markup ? { start, end: start + src.length, lines: out, markup } : { start, end: start + src.length, lines: out });
+  }
+  return out;
+}
+
+// The same for reflowed prose, also recording its lines and the width they are wrapped at
+function recordProse(doc, start, src, out, markup) {
+  if (doc.prose) doc.prose.push({ start, end: start + src.length, width: doc.width });
+  return recordEdit(doc, start, src, out, markup);
+}
+
+function renderBlock(node, lines, opts, doc) {
+  const src = lines.slice(node.start, node.end);
+  const o = { ...opts, mode: doc.mode };
+  switch (node.type) {
+    case "header":
+    case "list":
+      return renderBlocks(node.children, lines, opts, doc);
+    case "blank":
+      return recordEdit(doc, node.start, src, src.map(() => ""));
+    case "paragraph":
+      return node.verbatim ? src : recordProse(doc, node.start, src, reflowParagraph(src, doc.width, o, true));
+    case "admonition":
+      return recordProse(doc, node.start, src, reflowParagraph(src, doc.width, o));
+    case "list-item": {
+      const text = lines.slice(node.start, node.textEnd);
+      const out = node.verbatim ? text : recordProse(doc, node.start, text, reflowParagraph(text, doc.width, o));
+      return out.concat(renderBlocks(node.children, lines, opts, doc));
+    }
+    case "comment": {
+      if (!node.prefix) return src;
+      // Reflow the text after the prefix, narrower by the prefix width
+      const text = reflowParagraph(src.map(l => l.slice(node.prefix.length)), Math.max(20, doc.width -
+        displayWidth(node.prefix, opts.tabSize)), o, true);
+      return recordProse(doc, node.start, src, text.join("\n").split("\n").map(l => node.prefix + l), /\/\//g);
+    }
+    case "quote": {
+      // Reflow the content without "> " (2 columns narrower) as one block, then prefix every line again
+      const content = lines.map((l, k) => (k >= node.start && k < node.end ? l.replace(MD_QUOTE_PREFIX_RE, "") : l));
+      const inner = { ...doc, width: Math.max(20, doc.width - 2), edits: undefined, prose: undefined, blocks: undefined };
+      const out = renderBlocks(node.children, content, opts, inner).join("\n").split("\n").map(l => (l ? "> " + l : ">"));
+      return recordProse(doc, node.start, src, out, />/g);
+    }
+    case "delimited":
+      if (node.verbatim) return src;
+      return [src[0], ...renderBlocks(node.children, lines, opts, doc), ...(node.closed ? [src[src.length - 1]] : [])];
+    case "attribute": {
+      const out = recordEdit(doc, node.start, src, reflowAttributeEntry(src, doc.width, o));
+      const mRf = src[0].match(REFLOW_ATTR_RE);
+      if (mRf) setReflowAttribute(doc, mRf[2], mRf[1] || mRf[3] ? null : mRf[4]);
+      return out;
+    }
+    default:
+      return src;
+  }
+}
+
+// Render a parsed document; `sink` may hold `edits`, `prose` and `blocks` arrays to collect into
+function render(tree, width, opts, sink = {}) {
+  const doc = { width, mode: opts.mode, configured: { width, mode: opts.mode }, ...sink };
+  return renderBlocks(tree.children, tree.lines, opts, doc);
+}
+
+// Main reflow
+function reflowTextAdoc(input, width, options) {
+  const opts = normalizeOptions(options);
+  const endsWithNL = /\r?\n$/.test(input);
+  return render(parseBlocks(input, opts), width, opts).join("\n") + (endsWithNL ? "\n" : "");
+}
+
+// Edits overlapping one of the line ranges (an empty range stands for its start line)
+const overlapping = (edits, ranges) =>
+  edits.filter(e => ranges.some(r => e.start < Math.max(r.end, r.start + 1) && r.start < e.end));
+
+// The reflow as line edits, one per block whose lines change: source lines [start, end) (0-based,
+// end exclusive) are replaced by `lines`. Edits are in document order and do not overlap; applying
+// them gives reflowTextAdoc's result. With `ranges` ([{ start, end }] line ranges) only the edits of
+// blocks overlapping one of them are returned: the whole document is parsed, so a range inside a
+// listing block or table gets none, and a range covering part of a paragraph or list item gets all of it.
+function reflowEdits(input, width, options, ranges) {
+  const opts = normalizeOptions(options);
+  const edits = [];
+  render(parseBlocks(input, opts), width, opts, { edits });
+  return ranges ? overlapping(edits, ranges) : edits;
+}
+
+// ------------------ Safety net ------------------
+// Structure problems: blocks and tables never closed, usually because the closing delimiter has
+// another length than the opening one. Everything after such an opening line is kept as written.
+function structureWarnings(nodes, lines, warnings = []) {
+  for (const node of nodes) {
+    if ((node.type === "delimited" || node.type === "table") && !node.closed) {
+      const delimiter = node.delimiter || "|===";
+      const kind = node.type === "table" ? "table" : `${node.kind} block`;
+      // Lines of the same delimiter character but another length
+      const similar = delimiter === "|===" ? /^\|=+$/ : delimiter === "--" ? null : new RegExp(`^\\${delimiter[0]}{4,}$`);
+      const mismatch = similar ? lines.slice(node.start + 1, node.end).findIndex(l => similar.test(l.trim())) : -1;
+      warnings.push(mismatch === -1
+        ? { line: node.start, message: `Unclosed ${kind} (${delimiter}) opened on line ${node.start + 1}` }
+        : { line: node.start + 1 + mismatch,
+            message: `Delimiter ${lines[node.start + 1 + mismatch].trim()} on line ${node.start + 2 + mismatch} does not ` +
+                     `close the ${kind} (${delimiter}) opened on line ${node.start + 1}` });
+    }
+    if (node.children) structureWarnings(node.children, lines, warnings);
+  }
+  return warnings;
+}
+
+// Text of lines without whitespace (words longer than the width are split) and without the "\" of
+// soft-wrapped attribute values
+const textOf = lines => lines.join(" ").split(/\s+/).filter(w => w !== "\\").join("");
+
+// Check the reflowed `out` against the source `lines`: every changed block keeps its text, nothing
+// outside the changed blocks changes, and every line reflow may not change (verbatim blocks, literal
+// paragraphs, comments, tables, ...) is still there, in order.
+function verifyReflow(lines, out, edits, blocks) {
+  const errors = [];
+  const markup = new Map(blocks.map(b => [b.start, b.markup]));
+  for (const edit of edits) {
+    const re = markup.get(edit.start);
+    const text = src => (re ? textOf(src).replace(re, "") : textOf(src));
+    if (text(lines.slice(edit.start, edit.end)) !== text(edit.lines)) {
+      errors.push({ line: edit.start, message: `Reflow would change the text of the block on line ${edit.start + 1}` });
+    }
+  }
+
+  const edited = lines.slice();
+  for (const edit of [...edits].reverse()) edited.splice(edit.start, edit.end - edit.start, ...edit.lines);
+  const result = out.join("\n").split("\n");
+  const diff = edited.findIndex((line, k) => line !== result[k]);
+  if (diff !== -1 || edited.length !== result.length) {
+    const line = diff === -1 ? Math.min(edited.length, result.length) : diff;
+    errors.push({ line, message: `Reflow would change line ${line + 1} of the result outside the reflowed blocks` });
+  }
+
+  const changeable = new Set();
+  for (const b of blocks) for (let l = b.start; l < b.end; l++) changeable.add(l);
+  let k = 0;
+  for (let l = 0; l < lines.length; l++) {
+    if (changeable.has(l)) continue;
+    while (k < result.length && result[k] !== lines[l]) k++;
+    if (k === result.length) {
+      errors.push({ line: l, message: `Reflow would change line ${l + 1}, which must be kept as written` });
+      break;
+    }
+    k++;
+  }
+  return errors;
+}
+
+// Blocks of the tree in document order
+function* walkBlocks(nodes) {
+  for (const node of nodes) {
+    yield node;
+    if (node.children) yield* walkBlocks(node.children);
+  }
+}
+
+// Check that the result parses into the same blocks as the source: a line break that starts a list
+// item, title or comment is caught here even where the text of the block is unchanged.
+function verifyStructure(tree, out, opts) {
+  const kindOf = node => (!node ? "end of the document" : node.type === "delimited" ? `${node.kind} block` : node.type);
+  const before = [...walkBlocks(tree.children)];
+  const after = [...walkBlocks(parseBlocks(out.join("\n"), opts).children)];
+  const k = before.findIndex((node, i) => kindOf(node) !== kindOf(after[i]));
+  if (k === -1 && before.length === after.length) return [];
+  const at = k === -1 ? before.length : k;
+  const line = at < before.length ? before[at].start : tree.lines.length;
+  return [{ line, message: `Reflow would change the blocks from line ${line + 1}: ${kindOf(before[at])} becomes ${kindOf(after[at])}` }];
+}
+
+// Reflow with a report: { text, edits, warnings, errors }. `text` and `edits` are as from reflowTextAdoc
+// and reflowEdits (with `ranges`, only the edits overlapping them). `warnings` are structure problems
+// ({ line, message }, 0-based line); `errors` are failed checks of the result — when there are any,
+// the result must not be applied.
+function reflowChecked(input, width, options, ranges) {
+  const opts = normalizeOptions(options);
+  const tree = parseBlocks(input, opts);
+  const edits = [], blocks = [];
+  const out = render(tree, width, opts, { edits, blocks });
+  const endsWithNL = /\r?\n$/.test(input);
+  return {
+    text: out.join("\n") + (endsWithNL ? "\n" : ""),
+    edits: ranges ? overlapping(edits, ranges) : edits,
+    warnings: structureWarnings(tree.children, tree.lines),
+    errors: [...verifyReflow(tree.lines, out, edits, blocks), ...verifyStructure(tree, out, opts)]
+  };
+}
+
+// ------------------ Source-code comments ------------------
+// AsciiDoc written in the comments of other languages: " * " (Javadoc), "///" and "//!" (Rust, C#), "//",
+// "#" (Python, shell), "--" (SQL, Lua), ";" (Lisp) and "%" (TeX, Erlang), after any indentation.
+const SOURCE_COMMENT_RE = /^([ \t]*)(\/\/[\/!]?|\*|#+|--|;+|%+)(?=[ \t]|$)/;
+
+// Indentation and marker of a comment line ("  * "), null for other lines
+function sourceCommentMarker(line) {
+  const m = line.match(SOURCE_COMMENT_RE);
+  return m ? m[0] : null;
+}
+
+// The comment prefix shared by all non-blank `lines` — the same indentation and marker and the same space
+// or tab after it — or null when there is none
+function commentPrefixOf(lines) {
+  const texts = lines.filter(l => l.trim());
+  const marker = texts.length ? sourceCommentMarker(texts[0]) : null;
+  if (marker === null || texts.some(l => sourceCommentMarker(l) !== marker)) return null;
+  const separators = new Set(texts.map(l => l[marker.length]).filter(Boolean));
+  return separators.size > 1 ? null : marker + ([...separators][0] || " ");
+}
+
+// The comment block around `line` of `lines` (consecutive lines with the same indentation and marker):
+// { start, end, prefix } (prefix as from commentPrefixOf) or null when `line` is not a comment line
+function commentBlockAt(lines, line) {
+  const marker = sourceCommentMarker(lines[line] ?? "");
+  if (marker === null) return null;
+  let start = line, end = line + 1;
+  while (start > 0 && sourceCommentMarker(lines[start - 1]) === marker) start--;
+  while (end < lines.length && sourceCommentMarker(lines[end]) === marker) end++;
+  return { start, end, prefix: commentPrefixOf(lines.slice(start, end)) };
+}
+
+// Reflow `input`, every line of which starts with `prefix` (or is blank, or is the prefix without its
+// trailing space), as AsciiDoc at `width` less the prefix, re-applying the prefix: reflowChecked's result
+// with edits of the prefixed lines. A line without the prefix is an error.
+function reflowPrefixed(input, width, prefix, options) {
+  const opts = normalizeOptions(options);
+  const bare = prefix.trimEnd();
+  const lines = input.split(/\r?\n/);
+  const errors = [];
+  const stripped = lines.map((line, i) => {
+    if (line.startsWith(prefix)) return line.slice(prefix.length);
+    if (!line.trim() || line.trimEnd() === bare) return "";
+    errors.push({ line: i, message: `Line ${i + 1} does not start with the comment prefix "${prefix}"` });
+    return line;
+  });
+  if (errors.length) return { text: input, edits: [], warnings: [], errors };
+
+  const textWidth = Math.max(20, width - displayWidth(prefix, opts.tabSize));
+  const result = reflowChecked(stripped.join("\n"), textWidth, opts);
+  const addPrefix = line => (line ? prefix + line : bare);
+  // The comment marker is repeated on every line, like the markers of quotes and comment runs
+  const marker = bare.trim().replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+  const markup = e => new RegExp(e.markup ? `${marker}|${e.markup.source}` : marker, "g");
+  const edits = result.edits.map(e => ({ ...e, lines: e.lines.map(addPrefix), markup: markup(e) }));
+  const out = lines.slice();
+  for (const e of [...edits].reverse()) out.splice(e.start, e.end - e.start, ...e.lines);
+  return { text: out.join("\n"), edits, warnings: result.warnings, errors: result.errors };
+}
+
+// ------------------ Problems ------------------
+const URL_RE = /\b[a-z][a-z0-9+.-]*:\/\/\S/i;
+
+// What a reflow would fix or cannot fix, for diagnostics: { kind, start, end } with { line, character }
+// positions, in document order.
+//   "long-line"     a prose line wider than the `width` it is wrapped at, from the first column past it;
+//                   lines with a URL or a single word are allowed, as are verbatim blocks, literal
+//                   paragraphs, comments, tables and attribute entries
+//   "not-reflowed"  a paragraph, list item, admonition or attribute entry whose reflow differs from its lines
+function reflowProblems(input, width, options) {
+  const opts = normalizeOptions(options);
+  const edits = [], prose = [];
+  render(parseBlocks(input, opts), width, opts, { edits, prose });
+  const lines = input.split(/\r?\n/);
+  const problems = [];
+
+  for (const block of prose) {
+    for (let l = block.start; l < block.end; l++) {
+      const text = lines[l];
+      if (displayWidth(text, opts.tabSize) <= block.width) continue;
+      if (URL_RE.test(text) || !/\S\s+\S/.test(text.trim())) continue;
+      let c = 0;
+      while (displayWidth(text.slice(0, c + 1), opts.tabSize) <= block.width) c++;
+      problems.push({ kind: "long-line", start: { line: l, character: c }, end: { line: l, character: text.length },
+                      width: block.width });
+    }
+  }
+  for (const edit of edits) {
+    if (lines.slice(edit.start, edit.end).every(line => !line.trim())) continue; // whitespace-only lines
+    problems.push({ kind: "not-reflowed", start: { line: edit.start, character: 0 },
+                    end: { line: edit.end - 1, character: lines[edit.end - 1].length } });
+  }
+  return problems.sort((a, b) => a.start.line - b.start.line || a.start.character - b.start.character);
+}
+
+// ------------------ Character edits ------------------
+// Offset in `text` → { line, character }, counting lines from `firstLine`
+function positionAt(text, offset, firstLine) {
+  const before = text.slice(0, offset).split("\n");
+  return { line: firstLine + before.length - 1, character: before[before.length - 1].length };
+}
+
+// The line edits of reflowEdits as the smallest character edits: { start, end, text } with
+// { line, character } positions in `input` and "\n" line breaks. Reflow only moves whitespace (and the
+// ">" and "//" markers of quote and comment lines, which go with the line breaks), so each changed run of
+// whitespace and markers between two words becomes one edit and the words themselves are never touched
+// (text around them, such as the cursor, stays put). A block whose words change is replaced whole.
+function whitespaceEdits(input, edits) {
+  const lines = input.split(/\r?\n/);
+  const out = [];
+  for (const edit of edits) {
+    const oldText = lines.slice(edit.start, edit.end).join("\n");
+    const newText = edit.lines.join("\n");
+    const wordsOf = text => [...text.matchAll(/\S+/g)].filter(m => !edit.markup || m[0].replace(edit.markup, ""));
+    // Where the text before each word (and after the last one) starts, and that text
+    const gapStarts = words => [0, ...words.map(m => m.index + m[0].length)];
+    const gapsOf = (text, words) =>
+      gapStarts(words).map((from, k) => text.slice(from, k < words.length ? words[k].index : text.length));
+    const oldWords = wordsOf(oldText);
+    const newWords = wordsOf(newText);
+    if (oldWords.length !== newWords.length || oldWords.some((w, k) => w[0] !== newWords[k][0])) {
+      out.push({ start: positionAt(oldText, 0, edit.start), end: positionAt(oldText, oldText.length, edit.start), text: newText });
+      continue;
+    }
+
+    const oldGaps = gapsOf(oldText, oldWords);
+    const newGaps = gapsOf(newText, newWords);
+    const offsets = gapStarts(oldWords);
+    oldGaps.forEach((gap, k) => {
+      const offset = offsets[k];
+      const repl = newGaps[k];
+      // Trim what the runs have in common at either end
+      let head = 0, tail = 0;
+      while (head < gap.length && head < repl.length && gap[head] === repl[head]) head++;
+      while (tail < gap.length - head && tail < repl.length - head &&
+             gap[gap.length - 1 - tail] === repl[repl.length - 1 - tail]) tail++;
+      if (head + tail < gap.length || head + tail < repl.length) {
+        out.push({
+          start: positionAt(oldText, offset + head, edit.start),
+          end: positionAt(oldText, offset + gap.length - tail, edit.start),
+          text: repl.slice(head, repl.length - tail)
+        });
+      }
+    });
+  }
+  return out;
+}
+
+// ------------------ Cursor anchoring ------------------
+// Columns of the characters of `line` a position is anchored to: non-blank ones outside `markup` (the
+// ">" and "//" markers quote and comment lines repeat, which reflow adds and drops)
+function anchorColumns(line, markup) {
+  const skip = new Set();
+  if (markup) for (const m of line.matchAll(markup)) for (let c = m.index; c < m.index + m[0].length; c++) skip.add(c);
+  const columns = [];
+  for (let c = 0; c < line.length; c++) if (/\S/.test(line[c]) && !skip.has(c)) columns.push(c);
+  return columns;
+}
+
+// Where `position` ({ line, character }, 0-based) in `input` ends up once `edits` (from reflowEdits)
+// are applied. Reflow only moves whitespace (and markers), so a position inside an edit keeps the same
+// number of anchoring characters before it: it stays on the same word, at the same place in it.
+function mapPosition(input, edits, position) {
+  let shift = 0; // lines added by the edits before the position
+  for (const edit of edits) {
+    if (position.line < edit.start) break;
+    if (position.line >= edit.end) { shift += edit.lines.length - (edit.end - edit.start); continue; }
+
+    const src = input.split(/\r?\n/).slice(edit.start, edit.end);
+    const k0 = position.line - edit.start;
+    const here = anchorColumns(src[k0], edit.markup);
+    const count = src.slice(0, k0).reduce((n, line) => n + anchorColumns(line, edit.markup).length, 0) +
+      here.filter(c => c < position.character).length;
+    // At the start of a word stay before it, else after the word (or character) before
+    const atWord = here.includes(position.character);
+    const target = atWord ? count + 1 : count;
+    if (target === 0) return { line: edit.start + shift, character: Math.min(position.character, edit.lines[0].length) };
+    let seen = 0;
+    for (let k = 0; k < edit.lines.length; k++) {
+      for (const c of anchorColumns(edit.lines[k], edit.markup)) {
+        if (++seen === target) return { line: edit.start + shift + k, character: atWord ? c : c + 1 };
+      }
+    }
+    const last = edit.lines.length - 1;
+    return { line: edit.start + shift + last, character: edit.lines[last].length };
   }
-  flush();
-  return out.join("\n") + (endsWithNL ? "\n" : "");
+  return { line: position.line + shift, character: position.character };
 }
 
-module.exports = { reflowTextAdoc };
+module.exports = {
+  reflowTextAdoc, reflowEdits, reflowChecked, reflowProblems, whitespaceEdits, mapPosition, parseBlocks, splitSentences,
+  displayWidth, reflowPrefixed, commentPrefixOf, commentBlockAt
+};
@@ -0,0 +1,121 @@
+/**
+ * Line diffs — pure logic (no VS Code APIs), used by the command-line formatter.
+ *
+ * Exports:
+ *   - diffLines(a: string[], b: string[]): { op: " " | "-" | "+", line: string }[]
+ *   - unifiedDiff(oldText: string, newText: string, oldName: string, newName: string, context?: number): string
+ *     ("" when the texts are equal)
+ */
+
+// Beyond this many differences the middle of the files is reported as replaced wholesale instead of
+// searching further; the trace of the search grows with the square of the distance.
+const MAX_EDIT_DISTANCE = 4000;
+
+// Myers' O(ND) diff over the lines between a common prefix and suffix
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const ops = a.slice(0, start).map(line => ({ op: " ", line }));
+  ops.push(...diffMiddle(a.slice(start, endA), b.slice(start, endB)));
+  ops.push(...a.slice(endA).map(line => ({ op: " ", line })));
+  return ops;
+}
+
+function diffMiddle(a, b) {
+  const n = a.length, m = b.length;
+  const replaced = () => [...a.map(line => ({ op: "-", line })), ...b.map(line => ({ op: "+", line }))];
+  if (!n || !m) return replaced();
+
+  // trace[d][k + d] = furthest x reached on diagonal k with d differences
+  const trace = [];
+  let v = [0];
+  for (let d = 0; d <= Math.min(n + m, MAX_EDIT_DISTANCE); d++) {
+    const next = new Array(2 * d + 1);
+    for (let k = -d; k <= d; k += 2) {
+      const down = k === -d || (k !== d && v[k - 1 + d - 1] < v[k + 1 + d - 1]);
+      let x = d === 0 ? 0 : down ? v[k + 1 + d - 1] : v[k - 1 + d - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      next[k + d] = x;
+      if (x >= n && y >= m) {
+        trace.push(next);
+        return backtrack(trace, a, b);
+      }
+    }
+    trace.push(next);
+    v = next;
+  }
+  return replaced();
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length, y = b.length;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const v = trace[d - 1];
+    const k = x - y;
+    const down = k === -d || (k !== d && v[k - 1 + d - 1] < v[k + 1 + d - 1]);
+    const prevK = down ? k + 1 : k - 1;
+    const prevX = v[prevK + d - 1];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) { ops.push({ op: " ", line: a[--x] }); y--; }
+    if (down) ops.push({ op: "+", line: b[--y] });
+    else ops.push({ op: "-", line: a[--x] });
+  }
+  while (x > 0) ops.push({ op: " ", line: a[--x] });
+  return ops.reverse();
+}
+
+// Split text into lines; a final newline does not start another line
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split(/\r?\n/);
+  if (/\n$/.test(text)) lines.pop();
+  return lines;
+}
+
+function unifiedDiff(oldText, newText, oldName, newName, context = 3) {
+  if (oldText === newText) return "";
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+  // Group changes into hunks: changed lines closer than 2 * context share a hunk
+  const changed = [];
+  ops.forEach((o, i) => { if (o.op !== " ") changed.push(i); });
+  if (!changed.length) return "";
+  const hunks = [];
+  let from = changed[0], to = changed[0];
+  for (const i of changed.slice(1)) {
+    if (i - to > 2 * context) { hunks.push([from, to]); from = i; }
+    to = i;
+  }
+  hunks.push([from, to]);
+
+  // Line numbers (1-based) of each op in the old and new text
+  const oldNo = [], newNo = [];
+  let o = 1, nw = 1;
+  for (const op of ops) {
+    oldNo.push(o); newNo.push(nw);
+    if (op.op !== "+") o++;
+    if (op.op !== "-") nw++;
+  }
+
+  const out = [`--- ${oldName}`, `+++ ${newName}`];
+  for (const [first, last] of hunks) {
+    const lo = Math.max(0, first - context);
+    const hi = Math.min(ops.length - 1, last + context);
+    const slice = ops.slice(lo, hi + 1);
+    const oldCount = slice.filter(op => op.op !== "+").length;
+    const newCount = slice.filter(op => op.op !== "-").length;
+    // An empty range starts at the line before it
+    const oldStart = oldCount ? oldNo[lo] : oldNo[lo] - 1;
+    const newStart = newCount ? newNo[lo] : newNo[lo] - 1;
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    slice.forEach(op => out.push(op.op + op.line));
+  }
+  return out.join("\n") + "\n";
+}
+
+module.exports = { diffLines, unifiedDiff };
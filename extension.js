@@ -4,86 +4,405 @@
  * Portions of this software were authored with the assistance of GPT-5 Thinking.
  * The author reviewed, tested, and accepted all changes.
  */
+const fs = require("fs");
 const vscode = require("vscode");
-const { reflowTextAdoc } = require("./core");
+const {
+  reflowChecked, reflowProblems, whitespaceEdits, mapPosition, displayWidth, reflowPrefixed, commentPrefixOf, commentBlockAt
+} = require("./core");
+const { resolveConfig } = require("./config");
+const { includedFiles } = require("./includes");
 
-function fullDocumentRange(document) {
-  if (document.lineCount === 0) return new vscode.Range(0, 0, 0, 0);
-  const last = document.lineCount - 1;
-  const lastLen = document.lineAt(last).text.length;
-  return new vscode.Range(0, 0, last, lastLen);
+// Range over the whole lines [start, end)
+function lineRange(document, start, end) {
+  return new vscode.Range(start, 0, end - 1, document.lineAt(end - 1).text.length);
 }
 
-function paragraphRangeAt(document, line) {
-  const last = Math.max(0, document.lineCount - 1);
-  let s = Math.max(0, Math.min(line, last));
-  let e = s;
-  while (s > 0 && !/^\s*$/.test(document.lineAt(s - 1).text)) s--;
-  while (e < last && !/^\s*$/.test(document.lineAt(e + 1).text)) e++;
-  const endChar = document.lineAt(e).text.length;
-  return new vscode.Range(s, 0, e, endChar);
+// Lines [start, end) a range touches; a range ending at the start of a line does not include that line
+function rangeLines(range) {
+  const endsAtLineStart = range.end.character === 0 && range.end.line > range.start.line;
+  return { start: range.start.line, end: endsAtLineStart ? range.end.line : range.end.line + 1 };
 }
 
-function getWrapColumn() {
+// Reflow edits (for the line `ranges`, or all) that passed the core's safety net. When the check fails
+// nothing is edited and the error is shown; warnings about unclosed blocks are shown as well. `quiet`
+// shows nothing, for edits nobody asked for yet (code actions, typing).
+function checkedEdits(document, width, options, ranges, quiet = false) {
+  return usableEdits(reflowChecked(document.getText(), width, options, ranges), quiet);
+}
+
+// The edits of a checked reflow result, reporting its errors and warnings as above; `where` names the
+// part of the document the result is for
+function usableEdits({ edits, warnings, errors }, quiet = false, where = "") {
+  const more = list => list.length > 1 ? ` (and ${list.length - 1} more)` : "";
+  if (errors.length) {
+    if (!quiet) vscode.window.showErrorMessage(`AsciiDoc Reflow: not applied${where}. ${errors[0].message}${more(errors)}.`);
+    return [];
+  }
+  if (warnings.length && !quiet) vscode.window.showWarningMessage(`AsciiDoc Reflow${where}: ${warnings[0].message}${more(warnings)}.`);
+  return edits;
+}
+
+function toTextEdits(document, edits) {
+  const eol = document.eol === vscode.EndOfLine.CRLF ? "\r\n" : "\n";
+  return edits.map(e => vscode.TextEdit.replace(lineRange(document, e.start, e.end), e.lines.join(eol)));
+}
+
+// The same for the text of a file that is not open, keeping its line endings
+function textEditsOf(text, edits) {
+  const eol = /\r\n/.test(text) ? "\r\n" : "\n";
+  const lines = text.split(/\r?\n/);
+  return edits.map(e => vscode.TextEdit.replace(
+    new vscode.Range(e.start, 0, e.end - 1, lines[e.end - 1].length), e.lines.join(eol)));
+}
+
+// The open document for the file at `fsPath`, if any: its text may differ from the file's
+function openDocument(fsPath) {
+  return vscode.workspace.textDocuments.find(d => d.uri.scheme === "file" && d.uri.fsPath === fsPath);
+}
+
+// Apply the edits in the editor, keeping every cursor and selection on the same words
+async function applyEdits(editor, edits) {
+  if (!edits.length) return;
+  const { document } = editor;
+  const text = document.getText();
+  const map = pos => {
+    const p = mapPosition(text, edits, { line: pos.line, character: pos.character });
+    return new vscode.Position(p.line, p.character);
+  };
+  const selections = editor.selections.map(sel => new vscode.Selection(map(sel.anchor), map(sel.active)));
+  const textEdits = toTextEdits(document, edits);
+  const applied = await editor.edit(b => textEdits.forEach(e => b.replace(e.range, e.newText)));
+  if (applied) editor.selections = selections;
+}
+
+// Project settings (.adocreflowrc.json, .editorconfig) for the document's file; they win over the
+// VS Code settings. An invalid config file is ignored, and reported unless `quiet` (as for checkedEdits:
+// diagnostics, code actions and typing would show it on every change).
+function getProjectConfig(document, quiet = false) {
+  if (document.uri.scheme !== "file") return {};
+  try {
+    return resolveConfig(document.uri.fsPath);
+  } catch (err) {
+    if (!quiet) vscode.window.showWarningMessage(`AsciiDoc Reflow: ${err.message}`);
+    return {};
+  }
+}
+
+function getWrapColumn(project = {}) {
   const cfg = vscode.workspace.getConfiguration("adocReflow");
-  const col = cfg.get("wrapColumn", 80);
+  const col = project.wrapColumn ?? cfg.get("wrapColumn", 80);
   return Math.max(20, Math.min(200, col));
 }
 
+// tabSize comes from the editor (or the formatting request) and is used to measure tab indentation
+function getReflowOptions(tabSize, project = {}) {
+  const cfg = vscode.workspace.getConfiguration("adocReflow");
+  const { wrapColumn, ...projectOptions } = project;
+  const options = {
+    mode: cfg.get("mode", "fill"),
+    wrapLongSentences: cfg.get("wrapLongSentences", true),
+    admonitionIndent: cfg.get("admonitionIndent", "hanging"),
+    wrapAttributeValues: cfg.get("wrapAttributeValues", false),
+    reflowCommentBlocks: cfg.get("reflowCommentBlocks", false),
+    lineBreaking: cfg.get("lineBreaking", "greedy"),
+    ...projectOptions
+  };
+  if (typeof tabSize === "number") options.tabSize = tabSize;
+  return options;
+}
+
+// ------------------ Diagnostics ------------------
+const DIAGNOSTIC_SOURCE = "adoc-reflow";
+const DIAGNOSTIC_DELAY = 300; // ms after the last change
+
+// Tab size of an editor showing the document (diagnostics have no formatting options)
+function tabSizeOf(document) {
+  const editor = vscode.window.visibleTextEditors.find(e => e.document === document);
+  return editor ? editor.options.tabSize : undefined;
+}
+
+function computeDiagnostics(document) {
+  const project = getProjectConfig(document, true);
+  const options = getReflowOptions(tabSizeOf(document), project);
+  return reflowProblems(document.getText(), getWrapColumn(project), options).map(p => {
+    const range = new vscode.Range(p.start.line, p.start.character, p.end.line, p.end.character);
+    const diagnostic = p.kind === "long-line"
+      ? new vscode.Diagnostic(range, `Line is longer than ${p.width} columns`, vscode.DiagnosticSeverity.Warning)
+      : new vscode.Diagnostic(range, "Paragraph is not reflowed", vscode.DiagnosticSeverity.Information);
+    diagnostic.source = DIAGNOSTIC_SOURCE;
+    diagnostic.code = p.kind;
+    return diagnostic;
+  });
+}
+
+// Quick fixes for the diagnostics: reflow the diagnostic's block, or the whole file
+function reflowCodeActions(document, diagnostics) {
+  const ours = diagnostics.filter(d => d.source === DIAGNOSTIC_SOURCE);
+  if (!ours.length) return [];
+  const project = getProjectConfig(document, true);
+  const width = getWrapColumn(project);
+  const options = getReflowOptions(tabSizeOf(document), project);
+
+  const action = (title, edits, fixed) => {
+    const fix = new vscode.CodeAction(title, vscode.CodeActionKind.QuickFix);
+    fix.edit = new vscode.WorkspaceEdit();
+    fix.edit.set(document.uri, toTextEdits(document, edits));
+    fix.diagnostics = fixed;
+    return fix;
+  };
+  // One action per block, fixing all of its diagnostics
+  const blocks = new Map();
+  for (const d of ours) {
+    const edits = checkedEdits(document, width, options, [{ start: d.range.start.line, end: d.range.end.line + 1 }], true);
+    if (!edits.length) continue;
+    const key = edits.map(e => e.start).join();
+    if (blocks.has(key)) blocks.get(key).diagnostics.push(d);
+    else blocks.set(key, { edits, diagnostics: [d] });
+  }
+  const actions = [...blocks.values()].map(b => action("Reflow this paragraph", b.edits, b.diagnostics));
+  const all = checkedEdits(document, width, options, undefined, true);
+  if (all.length) {
+    const fixAll = action("Reflow all in file", all, ours);
+    if (!actions.length) fixAll.isPreferred = true;
+    actions.push(fixAll);
+  }
+  return actions;
+}
+
 function activate(context) {
-  // Command: reflow selection / current paragraph
-  const reflowSelection = vscode.commands.registerCommand("adocReflow.reflowSelection", async () => {
+  // Reflow (mode "unwrap": join) the blocks at the cursors and selections of the active editor, or the
+  // whole document. The enclosing blocks are found in the whole document: a cursor reflows its paragraph
+  // or list item, a selection every block it touches, nothing inside verbatim blocks or tables.
+  const reflowActiveEditor = async ({ whole = false, mode } = {}) => {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) return;
+    const { document, selections } = editor;
+    const project = getProjectConfig(document);
+    const options = { ...getReflowOptions(editor.options.tabSize, project), ...(mode ? { mode } : {}) };
+    const ranges = whole ? undefined : selections.map(rangeLines);
+    await applyEdits(editor, checkedEdits(document, getWrapColumn(project), options, ranges));
+  };
+
+  // Commands: reflow selection / current paragraph, reflow entire document, and their unwrapping
+  // counterparts (one line per paragraph, e.g. for pasting into an issue tracker)
+  const reflowSelection = vscode.commands.registerCommand("adocReflow.reflowSelection", () => reflowActiveEditor());
+  const reflowDocument = vscode.commands.registerCommand("adocReflow.reflowDocument",
+    () => reflowActiveEditor({ whole: true }));
+  const unwrapSelection = vscode.commands.registerCommand("adocReflow.unwrapSelection",
+    () => reflowActiveEditor({ mode: "unwrap" }));
+  const unwrapDocument = vscode.commands.registerCommand("adocReflow.unwrapDocument",
+    () => reflowActiveEditor({ whole: true, mode: "unwrap" }));
+
+  // Reflow AsciiDoc inside source-code comments, in any language: the selected lines or the comment block at
+  // each cursor, with their common comment prefix (" * ", "/// ", "# ", ...) stripped and put back
+  const reflowComment = vscode.commands.registerCommand("adocReflow.reflowComment", async () => {
     const editor = vscode.window.activeTextEditor;
     if (!editor) return;
     const { document, selections } = editor;
-    const width = getWrapColumn();
-    await editor.edit(edit => {
-      selections.forEach(sel => {
-        const range = sel.isEmpty ? paragraphRangeAt(document, sel.start.line) : sel;
-        const out = reflowTextAdoc(document.getText(range), width);
-        edit.replace(range, out);
+    const lines = document.getText().split(/\r?\n/);
+    const project = getProjectConfig(document);
+    const width = getWrapColumn(project);
+    const options = getReflowOptions(editor.options.tabSize, project);
+
+    const blocks = [];
+    for (const sel of selections) {
+      const selected = rangeLines(sel);
+      const block = sel.isEmpty ? commentBlockAt(lines, sel.active.line)
+        : { ...selected, prefix: commentPrefixOf(lines.slice(selected.start, selected.end)) };
+      if (!block || block.prefix === null) {
+        vscode.window.showInformationMessage("AsciiDoc Reflow: no comment prefix found at the cursor or in the selection.");
+        continue;
+      }
+      if (!blocks.some(b => b.start < block.end && block.start < b.end)) blocks.push(block);
+    }
+
+    const edits = [];
+    for (const { start, end, prefix } of blocks.sort((a, b) => a.start - b.start)) {
+      const result = reflowPrefixed(lines.slice(start, end).join("\n"), width, prefix, options);
+      const where = ` (comment on line ${start + 1})`;
+      edits.push(...usableEdits(result, false, where).map(e => ({ ...e, start: e.start + start, end: e.end + start })));
+    }
+    await applyEdits(editor, edits);
+  });
+
+  // Reflow whole files (unsaved changes included) with a progress notification, then show the changes in
+  // the refactor preview to be applied or discarded. Files no editor has open are read from disk, not
+  // opened as documents. What changed, what failed the safety net, invalid config files and the `notes`
+  // (includes not followed) are listed in the output channel.
+  const output = vscode.window.createOutputChannel("AsciiDoc Reflow");
+  const reflowFiles = async (title, uris, notes = []) => {
+    const result = await vscode.window.withProgress(
+      { location: vscode.ProgressLocation.Notification, title, cancellable: true },
+      async (progress, token) => {
+        const edit = new vscode.WorkspaceEdit();
+        const changed = [], report = [...notes];
+        const configErrors = new Set();
+        for (const uri of uris) {
+          if (token.isCancellationRequested) return null;
+          const name = vscode.workspace.asRelativePath(uri);
+          progress.report({ message: name, increment: 100 / uris.length });
+          const document = openDocument(uri.fsPath);
+          let text, project = {};
+          try {
+            text = document ? document.getText() : await fs.promises.readFile(uri.fsPath, "utf8");
+          } catch (err) {
+            report.push(`${name}: cannot read: ${err.message}`);
+            continue;
+          }
+          try {
+            project = resolveConfig(uri.fsPath);
+          } catch (err) {
+            configErrors.add(err.message);
+          }
+          const options = getReflowOptions(document && tabSizeOf(document), project);
+          const { edits, warnings, errors } = reflowChecked(text, getWrapColumn(project), options);
+          warnings.forEach(w => report.push(`${name}:${w.line + 1}: warning: ${w.message}`));
+          errors.forEach(e => report.push(`${name}:${e.line + 1}: not reflowed: ${e.message}`));
+          if (errors.length || !edits.length) continue;
+          changed.push(name);
+          const metadata = { needsConfirmation: true, label: "Reflow", description: name };
+          (document ? toTextEdits(document, edits) : textEditsOf(text, edits))
+            .forEach(e => edit.replace(uri, e.range, e.newText, metadata));
+        }
+        report.push(...[...configErrors].map(message => `${message} (ignored)`));
+        return { edit, changed, report };
       });
-    });
+    if (!result) return;
+
+    const { edit, changed, report } = result;
+    output.clear();
+    changed.forEach(name => output.appendLine(`reflowed ${name}`));
+    report.forEach(line => output.appendLine(line));
+    const summary = changed.length
+      ? `${changed.length} of ${uris.length} file(s) reflowed`
+      : `All ${uris.length} file(s) are reflowed`;
+    if (changed.length && !(await vscode.workspace.applyEdit(edit, { isRefactoring: true }))) return;
+    const details = report.length ? ` (${report.length} note(s))` : "";
+    const choice = await vscode.window.showInformationMessage(`AsciiDoc Reflow: ${summary}${details}.`, "Show Details");
+    if (choice) output.show();
+  };
+
+  // Every AsciiDoc file in the workspace but those matching adocReflow.workspaceExclude or files.exclude
+  const reflowWorkspace = vscode.commands.registerCommand("adocReflow.reflowWorkspace", async () => {
+    const excludes = [
+      ...vscode.workspace.getConfiguration("adocReflow").get("workspaceExclude", []),
+      ...Object.entries(vscode.workspace.getConfiguration("files").get("exclude", {})).filter(([, on]) => on === true).map(([glob]) => glob)
+    ];
+    const uris = await vscode.workspace.findFiles("**/*.{adoc,asciidoc,asc}", excludes.length ? `{${excludes.join(",")}}` : undefined);
+    if (!uris.length) {
+      vscode.window.showInformationMessage("AsciiDoc Reflow: no AsciiDoc files in the workspace.");
+      return;
+    }
+    uris.sort((a, b) => a.fsPath.localeCompare(b.fsPath));
+    await reflowFiles("Reflowing AsciiDoc files", uris);
   });
 
-  // Command: reflow entire document
-  const reflowDocument = vscode.commands.registerCommand("adocReflow.reflowDocument", async () => {
+  // The active document and every AsciiDoc file it pulls in through include::, transitively
+  const reflowWithIncludes = vscode.commands.registerCommand("adocReflow.reflowWithIncludes", async () => {
     const editor = vscode.window.activeTextEditor;
     if (!editor) return;
-    const { document } = editor;
-    const width = getWrapColumn();
-    const all = fullDocumentRange(document);
-    const out = reflowTextAdoc(document.getText(all), width);
-    await editor.edit(b => b.replace(all, out));
+    if (editor.document.uri.scheme !== "file") {
+      vscode.window.showInformationMessage("AsciiDoc Reflow: save the document first; includes are resolved from its folder.");
+      return;
+    }
+    const readFile = file => {
+      const open = openDocument(file);
+      return open ? open.getText() : fs.readFileSync(file, "utf8");
+    };
+    let graph;
+    try {
+      graph = includedFiles(editor.document.uri.fsPath, readFile);
+    } catch (err) {
+      vscode.window.showErrorMessage(`AsciiDoc Reflow: ${err.message}`);
+      return;
+    }
+    const notes = graph.missing.map(m =>
+      `${vscode.workspace.asRelativePath(m.file)}:${m.line + 1}: include::${m.target}[] not followed: ${m.message}`);
+    await reflowFiles("Reflowing the document and its includes", graph.files.map(f => vscode.Uri.file(f)), notes);
   });
 
-  // “Format Document”
+  // “Format Document”: one edit per changed block
   const docProvider = vscode.languages.registerDocumentFormattingEditProvider("asciidoc", {
-    provideDocumentFormattingEdits(document) {
-      const width = getWrapColumn();
-      const full = fullDocumentRange(document);
-      const original = document.getText(full);
-      const formatted = reflowTextAdoc(original, width);
-      if (formatted === original) return [];
-      return [vscode.TextEdit.replace(full, formatted)];
+    provideDocumentFormattingEdits(document, formatting) {
+      const project = getProjectConfig(document);
+      const options = getReflowOptions(formatting.tabSize, project);
+      return toTextEdits(document, checkedEdits(document, getWrapColumn(project), options));
     }
   });
 
-  // “Format Selection”
+  // “Format Selection”: the blocks the range touches, as for the command
   const rangeProvider = vscode.languages.registerDocumentRangeFormattingEditProvider("asciidoc", {
-    provideDocumentRangeFormattingEdits(document, range) {
-      const width = getWrapColumn();
-      const start = new vscode.Position(range.start.line, 0);
-      const end = new vscode.Position(range.end.line, document.lineAt(range.end.line).text.length);
-      const fullLinesRange = new vscode.Range(start, end);
-      const original = document.getText(fullLinesRange);
-      const formatted = reflowTextAdoc(original, width);
-      if (formatted === original) return [];
-      return [vscode.TextEdit.replace(fullLinesRange, formatted)];
+    provideDocumentRangeFormattingEdits(document, range, formatting) {
+      const project = getProjectConfig(document);
+      const options = getReflowOptions(formatting.tabSize, project);
+      const edits = checkedEdits(document, getWrapColumn(project), options, [rangeLines(range)]);
+      return toTextEdits(document, edits);
     }
   });
 
-  context.subscriptions.push(reflowSelection, reflowDocument, docProvider, rangeProvider);
+  // Auto-wrap while typing (adocReflow.autoWrap): when a space or Enter leaves a line longer than the wrap
+  // column, rewrap that line's paragraph or list item. Only the whitespace between words is edited, so the
+  // caret stays where it is; the space just typed is kept.
+  const typeProvider = vscode.languages.registerOnTypeFormattingEditProvider("asciidoc", {
+    provideOnTypeFormattingEdits(document, position, ch, formatting) {
+      if (!vscode.workspace.getConfiguration("adocReflow").get("autoWrap", false)) return [];
+      // Enter: only at the end of a line, so a line split on purpose is not joined again
+      const line = ch === "\n" ? position.line - 1 : position.line;
+      if (line < 0 || (ch === "\n" && document.lineAt(position.line).text.trim())) return [];
+
+      const project = getProjectConfig(document, true);
+      const width = getWrapColumn(project);
+      if (displayWidth(document.lineAt(line).text.trimEnd(), formatting.tabSize) <= width) return [];
+      const text = document.getText();
+      const options = getReflowOptions(formatting.tabSize, project);
+      const eol = document.eol === vscode.EndOfLine.CRLF ? "\r\n" : "\n";
+      return whitespaceEdits(text, checkedEdits(document, width, options, [{ start: line, end: line + 1 }], true))
+        .filter(e => !(ch === " " && !e.text && e.end.line === position.line && e.end.character === position.character))
+        .map(e => vscode.TextEdit.replace(
+          new vscode.Range(e.start.line, e.start.character, e.end.line, e.end.character),
+          e.text.replace(/\n/g, eol)));
+    }
+  }, " ", "\n");
+
+  // Diagnostics (adocReflow.diagnostics): recomputed shortly after each change to an AsciiDoc document
+  const diagnostics = vscode.languages.createDiagnosticCollection(DIAGNOSTIC_SOURCE);
+  const timers = new Map();
+  const refresh = document => {
+    if (document.languageId !== "asciidoc") return;
+    if (!vscode.workspace.getConfiguration("adocReflow").get("diagnostics", true)) {
+      diagnostics.delete(document.uri);
+      return;
+    }
+    diagnostics.set(document.uri, computeDiagnostics(document));
+  };
+  const schedule = document => {
+    const key = document.uri.toString();
+    clearTimeout(timers.get(key));
+    timers.set(key, setTimeout(() => { timers.delete(key); refresh(document); }, DIAGNOSTIC_DELAY));
+  };
+  vscode.workspace.textDocuments.forEach(refresh);
+
+  const codeActions = vscode.languages.registerCodeActionsProvider("asciidoc", {
+    provideCodeActions(document, range, ctx) {
+      return reflowCodeActions(document, ctx.diagnostics);
+    }
+  }, { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] });
+
+  context.subscriptions.push(
+    reflowSelection, reflowDocument, unwrapSelection, unwrapDocument, reflowComment, reflowWorkspace, reflowWithIncludes,
+    output, docProvider, rangeProvider, typeProvider, diagnostics, codeActions,
+    vscode.workspace.onDidOpenTextDocument(refresh),
+    vscode.workspace.onDidChangeTextDocument(e => schedule(e.document)),
+    vscode.workspace.onDidCloseTextDocument(document => {
+      clearTimeout(timers.get(document.uri.toString()));
+      timers.delete(document.uri.toString());
+      diagnostics.delete(document.uri);
+    }),
+    vscode.workspace.onDidChangeConfiguration(e => {
+      if (e.affectsConfiguration("adocReflow")) vscode.workspace.textDocuments.forEach(refresh);
+    }),
+    { dispose: () => timers.forEach(clearTimeout) }
+  );
 }
 
 function deactivate() {}
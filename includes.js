@@ -0,0 +1,80 @@
+/**
+ * Include graph — plain Node (no VS Code APIs), shared by the extension and the command-line formatter.
+ *
+ * Exports:
+ *   - includedFiles(filePath: string, readFile?: (file: string) => string): { files, missing }
+ *     files: the document and every AsciiDoc file it pulls in through include::, transitively, in document
+ *     order without duplicates (absolute paths); missing: { file, line, target, message }[] for include
+ *     directives that could not be followed (0-based line of the directive in `file`).
+ *
+ * Targets are resolved relative to the including file, with {attribute} references substituted from the
+ * attribute entries seen so far (in document order, across files, as Asciidoctor's preprocessor does) and
+ * the intrinsic docdir and docfile of the top document. Only .adoc, .asciidoc and .asc targets are
+ * followed; includes inside verbatim blocks (source files shown in a listing) and URLs are not.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseBlocks } = require("./core");
+
+const ADOC_FILE_RE = /\.(adoc|asciidoc|asc)$/i;
+const INCLUDE_TARGET_RE = /^include::(\S+?)\[/;
+const ATTR_ENTRY_RE = /^:(!?)([^:!\s][^:!]*)(!?):(?:[ \t]+(.*))?$/;
+const ATTR_REF_RE = /\{([\w-]+)\}/g;
+const URL_RE = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+// Name (lowercased) and value of an attribute entry over its soft-wrapped lines; value null unsets it
+function attributeEntry(lines) {
+  const m = lines.join(" ").replace(/[ \t]\\ /g, " ").match(ATTR_ENTRY_RE);
+  if (!m) return null;
+  return { name: m[2].toLowerCase(), value: m[1] || m[3] ? null : (m[4] || "").trim() };
+}
+
+// Nodes of the block tree in document order
+function* walk(nodes) {
+  for (const node of nodes) {
+    yield node;
+    if (node.children) yield* walk(node.children);
+  }
+}
+
+function includedFiles(filePath, readFile = file => fs.readFileSync(file, "utf8")) {
+  const top = path.resolve(filePath);
+  const attributes = new Map([["docdir", path.dirname(top)], ["docfile", top]]);
+  const substitute = text => text.replace(ATTR_REF_RE, (ref, name) => attributes.get(name.toLowerCase()) ?? ref);
+  const files = [];
+  const missing = [];
+  const seen = new Set();
+
+  const visit = file => {
+    seen.add(file);
+    files.push(file);
+    const tree = parseBlocks(readFile(file));
+    for (const node of walk(tree.children)) {
+      const lines = tree.lines.slice(node.start, node.end);
+      if (node.type === "attribute") {
+        const entry = attributeEntry(lines);
+        if (entry && entry.value === null) attributes.delete(entry.name);
+        else if (entry) attributes.set(entry.name, substitute(entry.value));
+        continue;
+      }
+      if (node.type !== "include") continue;
+
+      const target = lines[0].match(INCLUDE_TARGET_RE)[1];
+      const report = message => missing.push({ file, line: node.start, target, message });
+      const unknown = [...target.matchAll(ATTR_REF_RE)].map(m => m[1]).find(n => !attributes.has(n.toLowerCase()));
+      if (unknown) { report(`attribute {${unknown}} is not set`); continue; }
+      const resolved = substitute(target);
+      if (URL_RE.test(resolved) || !ADOC_FILE_RE.test(resolved)) continue;
+
+      const included = path.resolve(path.dirname(file), resolved);
+      if (seen.has(included)) continue;
+      if (!fs.existsSync(included) || !fs.statSync(included).isFile()) { report(`${included} not found`); continue; }
+      visit(included);
+    }
+  };
+
+  visit(top);
+  return { files, missing };
+}
+
+module.exports = { includedFiles };
@@ -0,0 +1,137 @@
+/**
+ * Command-line formatter tests (in-process, on a temporary directory).
+ * Run: npm test
+ */
+const { test, describe, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run } = require('../bin/adoc-reflow');
+const { unifiedDiff } = require('../diff');
+
+const LONG = 'This paragraph is long enough that it has to be wrapped at the column of forty.\n';
+const SHORT = 'Short paragraph.\n';
+
+let dir;
+function cli(args, stdin = '') {
+  const io = { cwd: dir, stdinIsTTY: false, readStdin: async () => stdin, out: '', err: '' };
+  io.stdout = text => { io.out += text; };
+  io.stderr = text => { io.err += text; };
+  return run(args, io).then(code => ({ code, out: io.out, err: io.err }));
+}
+
+describe('Command line', () => {
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adoc-reflow-'));
+    fs.mkdirSync(path.join(dir, 'docs', 'sub'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'docs', 'long.adoc'), LONG);
+    fs.writeFileSync(path.join(dir, 'docs', 'sub', 'short.adoc'), SHORT);
+    fs.writeFileSync(path.join(dir, 'docs', 'notes.txt'), LONG);
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('formats stdin to stdout', async () => {
+    const { code, out } = await cli(['--width', '40'], LONG);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(out, 'This paragraph is long enough that\nit has to be wrapped at the column\nof forty.\n');
+  });
+
+  test('--mode sentences puts each sentence on its own line', async () => {
+    const { out } = await cli(['--mode=sentences', '-'], 'One sentence. Another one.\n');
+    assert.strictEqual(out, 'One sentence.\nAnother one.\n');
+  });
+
+  test('--mode unwrap joins each paragraph into one line', async () => {
+    const { out } = await cli(['--mode', 'unwrap', '-'], 'One\nparagraph.\n\n* an\n  item\n');
+    assert.strictEqual(out, 'One paragraph.\n\n* an item\n');
+  });
+
+  test('--check reports unformatted files in directories and exits with 1', async () => {
+    const { code, err } = await cli(['--check', '-w', '40', 'docs']);
+    assert.strictEqual(code, 1);
+    assert.match(err, /needs reflowing: docs[\\/]long\.adoc/);
+    assert.doesNotMatch(err, /short\.adoc|notes\.txt/);
+    assert.match(err, /1 of 2 file\(s\) need reflowing/);
+  });
+
+  test('--check passes on reflowed files matched by a glob', async () => {
+    const { code, err } = await cli(['--check', 'docs/**/short.adoc']);
+    assert.strictEqual(code, 0);
+    assert.match(err, /All 1 file\(s\) are reflowed/);
+  });
+
+  test('--diff prints a unified diff without touching the file', async () => {
+    const { code, out } = await cli(['--diff', '-w', '40', 'docs/long.adoc']);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(out, [
+      '--- a/docs/long.adoc',
+      '+++ b/docs/long.adoc',
+      '@@ -1,1 +1,3 @@',
+      '-This paragraph is long enough that it has to be wrapped at the column of forty.',
+      '+This paragraph is long enough that',
+      '+it has to be wrapped at the column',
+      '+of forty.',
+      ''
+    ].join('\n'));
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'docs', 'long.adoc'), 'utf8'), LONG);
+  });
+
+  test('--write rewrites files in place and keeps CRLF line endings', async () => {
+    const file = path.join(dir, 'crlf.adoc');
+    fs.writeFileSync(file, LONG.replace('\n', '\r\n'));
+    const { code } = await cli(['--write', '-w', '40', 'crlf.adoc']);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'),
+      'This paragraph is long enough that\r\nit has to be wrapped at the column\r\nof forty.\r\n');
+  });
+
+  test('uses the project config unless --width is given', async () => {
+    fs.writeFileSync(path.join(dir, 'docs', '.adocreflowrc.json'), '{ "wrapColumn": 40 }');
+    try {
+      assert.strictEqual((await cli(['--check', 'docs/long.adoc'])).code, 1);
+      assert.strictEqual((await cli(['--check', '-w', '100', 'docs/long.adoc'])).code, 0);
+    } finally {
+      fs.rmSync(path.join(dir, 'docs', '.adocreflowrc.json'));
+    }
+  });
+
+  test('--follow-includes reflows the included files too', async () => {
+    fs.mkdirSync(path.join(dir, 'book', 'parts'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'book', 'main.adoc'), 'include::parts/one.adoc[]\n\ninclude::parts/gone.adoc[]\n');
+    fs.writeFileSync(path.join(dir, 'book', 'parts', 'one.adoc'), LONG);
+    const { code, err } = await cli(['--check', '--follow-includes', '-w', '40', 'book/main.adoc']);
+    assert.strictEqual(code, 1);
+    assert.match(err, /book[\\/]main\.adoc:3: warning: include::parts\/gone\.adoc\[\] not followed: .*gone\.adoc not found/);
+    assert.match(err, /needs reflowing: book[\\/]parts[\\/]one\.adoc/);
+    assert.match(err, /1 of 2 file\(s\) need reflowing/);
+  });
+
+  test('reports unclosed blocks', async () => {
+    const { code, out, err } = await cli(['-'], 'Text.\n\n----\ncode\n');
+    assert.strictEqual(code, 0);
+    assert.strictEqual(out, 'Text.\n\n----\ncode\n');
+    assert.match(err, /<stdin>:3: warning: Unclosed listing block \(----\) opened on line 3/);
+  });
+
+  test('usage errors exit with 2', async () => {
+    assert.strictEqual((await cli(['--width', '5'])).code, 2);
+    assert.strictEqual((await cli(['--mode', 'wrap'])).code, 2);
+    assert.strictEqual((await cli(['--bogus'])).code, 2);
+    assert.strictEqual((await cli(['missing.adoc'])).code, 2);
+    assert.strictEqual((await cli(['--write', '-'])).code, 2);
+  });
+});
+
+describe('Unified diff', () => {
+  test('groups nearby changes into hunks with context', () => {
+    const a = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+    const b = 'a\nB\nc\nd\ne\nf\ng\nh\ni\nJ\n';
+    assert.strictEqual(unifiedDiff(a, b, 'a/x', 'b/x', 1), [
+      '--- a/x', '+++ b/x',
+      '@@ -1,3 +1,3 @@', ' a', '-b', '+B', ' c',
+      '@@ -9,2 +9,2 @@', ' i', '-j', '+J', ''
+    ].join('\n'));
+    assert.strictEqual(unifiedDiff(a, a, 'a/x', 'b/x'), '');
+  });
+});
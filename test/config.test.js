@@ -0,0 +1,73 @@
+/**
+ * Project configuration tests (.adocreflowrc.json, .editorconfig) on a temporary directory.
+ * Run: npm test
+ */
+const { test, describe, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveConfig, globToRegExp } = require('../config');
+const { writeFile } = require('./helpers');
+
+let dir;
+const write = (rel, text) => writeFile(dir, rel, text);
+
+describe('Project configuration', () => {
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adoc-reflow-config-'));
+    // Config files above the temp dir must not apply: both searches stop here
+    write('.editorconfig', 'root = true\n');
+    write('.adocreflowrc.json', '{}');
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('nothing configured gives an empty config', () => {
+    assert.deepStrictEqual(resolveConfig(path.join(dir, 'none', 'a.adoc')), {});
+  });
+
+  test('max_line_length from .editorconfig sections matching the file', () => {
+    write('ec/.editorconfig', 'root = true\n\n[*]\nmax_line_length = 100\n\n[*.adoc]\nmax_line_length = 72 # prose\n');
+    write('ec/docs/.editorconfig', '[legacy/**]\nmax_line_length = off\n');
+    assert.deepStrictEqual(resolveConfig(path.join(dir, 'ec', 'docs', 'a.adoc')), { wrapColumn: 72 });
+    assert.deepStrictEqual(resolveConfig(path.join(dir, 'ec', 'docs', 'a.txt')), { wrapColumn: 100 });
+    assert.deepStrictEqual(resolveConfig(path.join(dir, 'ec', 'docs', 'legacy', 'old.adoc')), {});
+  });
+
+  test('max_line_length values below 20 are ignored', () => {
+    write('narrow/.editorconfig', 'root = true\n[*]\nmax_line_length = 10\n');
+    write('narrow/docs/.editorconfig', '[*.adoc]\nmax_line_length = 90\n\n[*.adoc]\nmax_line_length = 5\n');
+    assert.deepStrictEqual(resolveConfig(path.join(dir, 'narrow', 'a.adoc')), {});
+    assert.deepStrictEqual(resolveConfig(path.join(dir, 'narrow', 'docs', 'a.adoc')), { wrapColumn: 90 });
+  });
+
+  test('the nearest .adocreflowrc.json wins over .editorconfig, with glob overrides', () => {
+    write('rc/.editorconfig', 'root = true\n[*]\nmax_line_length = 120\n');
+    write('rc/.adocreflowrc.json', JSON.stringify({
+      wrapColumn: 72,
+      mode: 'sentences',
+      overrides: [
+        { files: 'docs/**/*.adoc', wrapColumn: 100 },
+        { files: ['CHANGELOG.adoc'], mode: 'fill' }
+      ]
+    }));
+    assert.deepStrictEqual(resolveConfig(path.join(dir, 'rc', 'README.adoc')), { wrapColumn: 72, mode: 'sentences' });
+    assert.deepStrictEqual(resolveConfig(path.join(dir, 'rc', 'docs', 'guide', 'x.adoc')), { wrapColumn: 100, mode: 'sentences' });
+    assert.deepStrictEqual(resolveConfig(path.join(dir, 'rc', 'sub', 'CHANGELOG.adoc')), { wrapColumn: 72, mode: 'fill' });
+  });
+
+  test('invalid config files are reported with their path', () => {
+    write('bad/.adocreflowrc.json', '{ "wrapColumn": "wide" }');
+    assert.throws(() => resolveConfig(path.join(dir, 'bad', 'a.adoc')), /\.adocreflowrc\.json: invalid value for "wrapColumn"/);
+    write('broken/.adocreflowrc.json', '{ wrapColumn: 72 ');
+    assert.throws(() => resolveConfig(path.join(dir, 'broken', 'a.adoc')), /\.adocreflowrc\.json: /);
+  });
+
+  test('globs', () => {
+    assert.ok(globToRegExp('**/*.adoc').test('a/b/c.adoc'));
+    assert.ok(globToRegExp('**/*.adoc').test('c.adoc'));
+    assert.ok(globToRegExp('docs/*.{adoc,asc}').test('docs/x.asc'));
+    assert.ok(!globToRegExp('*.adoc').test('a/x.adoc'));
+    assert.ok(!globToRegExp('[!ab].adoc').test('a.adoc'));
+  });
+});
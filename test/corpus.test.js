@@ -7,7 +7,7 @@ const { test, describe } = require('node:test');
 const assert = require('assert');
 const fs = require('fs');
 const path = require('path');
-const { reflowTextAdoc } = require('../core');
+const { reflowTextAdoc, reflowChecked } = require('../core');
 
 const CORPUS_DIR = path.join(__dirname, 'corpus');
 const WIDTH = 72; // width used for all corpus tests
@@ -30,7 +30,9 @@ describe('Golden corpus', () => {
     'comments',
     'checklist',
     'admon-blocks',
-    'source-blocks'
+    'source-blocks',
+    'header',
+    'markdown'
   ].forEach(name => {
     test(name, () => {
       const { input, expected } = pair(name);
@@ -47,6 +49,10 @@ describe('Golden corpus', () => {
           `want: ${JSON.stringify(wl[i] ?? '')}`
         );
       }
+      // The safety net passes on every corpus file
+      const checked = reflowChecked(read(input), WIDTH);
+      assert.deepStrictEqual(checked.errors, []);
+      assert.strictEqual(checked.text, got);
     });
   });
 });
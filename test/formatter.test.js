@@ -5,11 +5,14 @@
  */
 const { test, describe } = require('node:test');
 const assert = require('assert');
-const { reflowTextAdoc } = require('../core');
+const {
+  reflowTextAdoc, reflowEdits, reflowChecked, reflowProblems, whitespaceEdits, mapPosition, parseBlocks, splitSentences,
+  displayWidth, reflowPrefixed, commentPrefixOf, commentBlockAt
+} = require('../core');
 
-function fmt(input, width = 40) {
-  const out = reflowTextAdoc(input, width);
-  const out2 = reflowTextAdoc(out, width);
+function fmt(input, width = 40, options) {
+  const out = reflowTextAdoc(input, width, options);
+  const out2 = reflowTextAdoc(out, width, options);
   assert.strictEqual(out, out2, 'Formatter must be idempotent at given width');
   out.split(/\r?\n/).forEach(line => {
     if (!line.trim()) return;                        // blank ok
@@ -63,19 +66,33 @@ describe('Lists', () => {
   });
 
   test('definition list with hanging indent', () => {
-    const input = `Term:: This definition should wrap under the "Term:: " prefix and align nicely.\n`;
+    const input = `Term:: This definition should wrap under the term and its prefix and align nicely.\n`;
     const out = fmt(input, 40);
     const lines = out.trim().split('\n');
     assert.ok(/^Term:: /.test(lines[0]));
     if (lines[1]) assert.ok(/^       /.test(lines[1])); // 7 spaces after "Term:: "
   });
 
-  test('nested list kept as-is (complex)', () => {
+  test('nested list items wrap with their own hanging indent', () => {
     const input = `* Parent item
-** Child item nested should not be reflowed.
+** Child item nested is reflowed under its own marker.
+*** Grandchild item is reflowed under its own marker as well.
+* Sibling item
 `;
-    const out = reflowTextAdoc(input, 40);
-    assert.strictEqual(out, input);
+    const out = fmt(input, 40);
+    assert.strictEqual(out, `* Parent item
+** Child item nested is reflowed under
+   its own marker.
+*** Grandchild item is reflowed under
+    its own marker as well.
+* Sibling item
+`);
+  });
+
+  test('indented nested items keep their indentation', () => {
+    const input = `* Parent item text that wraps around.\n  - Indented child item text that wraps around too.\n`;
+    const out = fmt(input, 30);
+    assert.strictEqual(out, `* Parent item text that wraps\n  around.\n  - Indented child item text\n    that wraps around too.\n`);
   });
 
   test('continuation marker + keeps attached block as-is', () => {
@@ -84,6 +101,52 @@ describe('Lists', () => {
     assert.strictEqual(out, input);
   });
 
+  test('paragraphs attached with + are reflowed as separate blocks', () => {
+    const input = `* Item top line
++
+Attached paragraph that is long enough to wrap, and must not merge with the bullet.
++
+Second attached paragraph.
+** Child item after the attached paragraphs.
+`;
+    const out = fmt(input, 40);
+    assert.strictEqual(out, `* Item top line
++
+Attached paragraph that is long enough
+to wrap, and must not merge with the
+bullet.
++
+Second attached paragraph.
+** Child item after the attached
+   paragraphs.
+`);
+  });
+
+  test('attached delimited blocks and indented literal lines are preserved', () => {
+    const input = `* Run the following command, then check the output carefully:
++
+[source,shell]
+----
+npm install --save-dev some-package-with-a-long-name
+----
+* Another item whose text also wraps at the column.
+      indented literal line that is far too long to fit the width
+`;
+    const out = reflowTextAdoc(input, 40);
+    assert.strictEqual(reflowTextAdoc(out, 40), out);
+    assert.strictEqual(out, `* Run the following command, then check
+  the output carefully:
++
+[source,shell]
+----
+npm install --save-dev some-package-with-a-long-name
+----
+* Another item whose text also wraps
+  at the column.
+      indented literal line that is far too long to fit the width
+`);
+  });
+
   test('checklist items format with hanging indent', () => {
     const input = `* [x] A done task that should wrap with a hanging indent after the checklist marker.\n`;
     const out = fmt(input, 50);
@@ -102,12 +165,49 @@ describe('Admonitions', () => {
     if (lines[1]) assert.ok(/^      /.test(lines[1])); // hanging under "NOTE: "
   });
 
-  test('block admonition [NOTE] + ==== fences kept', () => {
-    const input = `[NOTE]\n====\nThis is a block admonition and should be kept as-is.\n====\n`;
-    const { reflowTextAdoc } = require('../core');
-    const out = reflowTextAdoc(input, 50);
+  test('multi-line admonition paragraph is reflowed as one unit', () => {
+    const input = `NOTE: This admonition paragraph spans
+several source lines and
+      continues here.\nAfter it, a normal paragraph.\n\nTIP: Short tip.\nWARNING: Directly following.\n`;
+    const out = fmt(input, 40);
+    assert.strictEqual(out, `NOTE: This admonition paragraph spans
+      several source lines and continues
+      here. After it, a normal
+      paragraph.\n\nTIP: Short tip.\nWARNING: Directly following.\n`);
+  });
+
+  test('admonition paragraph can be flush-left', () => {
+    const input = `IMPORTANT: This admonition paragraph spans several\nsource lines and is wrapped flush-left.\n`;
+    const out = fmt(input, 40, { admonitionIndent: 'flush' });
+    assert.strictEqual(out, `IMPORTANT: This admonition paragraph\nspans several source lines and\nis wrapped flush-left.\n`);
+  });
+
+  test('admonition paragraph keeps hard line breaks and indented code', () => {
+    const input = `CAUTION: First line +\nsecond line\n\nNOTE: Run this command:\n        make install\n`;
+    const out = reflowTextAdoc(input, 40);
     assert.strictEqual(out, input);
   });
+
+  test('a label without text after it is a plain paragraph, never joined into an admonition', () => {
+    const input = 'NOTE:\nSomething here.\n\nTIP:\nAnother line\nof text.\n';
+    assert.deepStrictEqual(parseBlocks(input).children.filter(n => n.type !== 'blank').map(n => n.type),
+      ['paragraph', 'paragraph']);
+    assert.strictEqual(fmt(input, 40), 'NOTE:\nSomething here.\n\nTIP:\nAnother line of text.\n');
+  });
+
+  test('[NOTE]/[TIP]/[WARNING]-styled paragraphs reflow as one paragraph', () => {
+    ['NOTE', 'TIP', 'WARNING'].forEach(style => {
+      const input = `[${style}]\nThis styled admonition paragraph\nspans several source lines.\n`;
+      const out = fmt(input, 72);
+      assert.strictEqual(out, `[${style}]\nThis styled admonition paragraph spans several source lines.\n`);
+    });
+  });
+
+  test('block admonition [NOTE] + ==== fences kept, content reflowed', () => {
+    const input = `[NOTE]\n====\nThis is a block admonition and its content\nwill be reflowed like any paragraph.\n====\n`;
+    const out = fmt(input, 50);
+    assert.strictEqual(out, `[NOTE]\n====\nThis is a block admonition and its content will\nbe reflowed like any paragraph.\n====\n`);
+  });
 });
 
 describe('Blocks & fences', () => {
@@ -129,6 +229,33 @@ describe('Blocks & fences', () => {
     assert.strictEqual(out, input);
   });
 
+  test('compound blocks reflow their content recursively', () => {
+    const input = [
+      '****', 'Sidebar text that is long enough to be wrapped.', '****',
+      '____', 'Quoted text that is long enough to be wrapped.', '____',
+      '--', 'Open block text that is long enough to be wrapped.', '--', ''
+    ].join('\n');
+    const out = fmt(input, 30);
+    assert.strictEqual(out, [
+      '****', 'Sidebar text that is long', 'enough to be wrapped.', '****',
+      '____', 'Quoted text that is long', 'enough to be wrapped.', '____',
+      '--', 'Open block text that is long', 'enough to be wrapped.', '--', ''
+    ].join('\n'));
+  });
+
+  test('nested compound blocks with longer delimiters', () => {
+    const input = `====\nOuter text wraps across the lines here.\n\n=====\nInner text wraps across the lines too.\n\n----\nverbatim code line that is far too long\n----\n=====\n====\n`;
+    const out = reflowTextAdoc(input, 25);
+    assert.strictEqual(reflowTextAdoc(out, 25), out);
+    assert.strictEqual(out, `====\nOuter text wraps across\nthe lines here.\n\n=====\nInner text wraps across\nthe lines too.\n\n----\nverbatim code line that is far too long\n----\n=====\n====\n`);
+  });
+
+  test('verbatim blocks ignore other delimiters inside', () => {
+    const input = `....\n====\nliteral text that stays exactly as written\n====\n....\n++++\n<p>passthrough content is never wrapped</p>\n++++\n`;
+    const out = reflowTextAdoc(input, 20);
+    assert.strictEqual(out, input);
+  });
+
   test('HR and page break kept', () => {
     const input = `Before\n'''\n<<<\nAfter\n`;
     const out = fmt(input, 20);
@@ -169,6 +296,78 @@ describe('Comments (critical)', () => {
   });
 });
 
+describe('List syntax', () => {
+  test('implicit ordered items nest by marker depth', () => {
+    const input = `. First step of the procedure that is long enough to wrap.
+.. Substep that is nested and also long enough to wrap.
+. Second step.
+`;
+    const out = fmt(input, 40);
+    assert.strictEqual(out, `. First step of the procedure that
+  is long enough to wrap.
+.. Substep that is nested and also long
+   enough to wrap.
+. Second step.
+`);
+  });
+
+  test('uppercase, roman numeral and callout items wrap with a hanging indent', () => {
+    assert.strictEqual(fmt(`A. Uppercase lettered item that is long enough to wrap.\nB. Second item.\n`, 40),
+      `A. Uppercase lettered item that is long\n   enough to wrap.\nB. Second item.\n`);
+    assert.strictEqual(fmt(`i) Roman numeral item that is long enough to wrap.\nii) Second item.\n`, 40),
+      `i) Roman numeral item that is long\n   enough to wrap.\nii) Second item.\n`);
+    assert.strictEqual(fmt(`<1> Callout explanation that is long enough to wrap.\n<.> Auto-numbered callout.\n`, 40),
+      `<1> Callout explanation that is long\n    enough to wrap.\n<.> Auto-numbered callout.\n`);
+  });
+
+  test('a different ordered style at the same indent is a nested list', () => {
+    const input = `1. Ordered item
+a. Lettered child item that is long enough to wrap around.
+b. Second child.
+2. Second ordered item
+`;
+    const out = fmt(input, 40);
+    assert.strictEqual(out, `1. Ordered item
+a. Lettered child item that is long
+   enough to wrap around.
+b. Second child.
+2. Second ordered item
+`);
+  });
+
+  test('description lists with :::, :::: and ;; delimiters', () => {
+    const input = `Term::: Nested level definition long enough to wrap.
+Other;; Semicolon definition long enough to wrap here.
+`;
+    const out = fmt(input, 40);
+    assert.strictEqual(out, `Term::: Nested level definition long
+        enough to wrap.
+Other;; Semicolon definition long enough
+        to wrap here.
+`);
+  });
+
+  test('[qanda] and [horizontal] lists keep answers below their question', () => {
+    const input = `[qanda]
+What is the question asked here?::
+  The answer that is long enough to wrap around the column, surely.
+
+[horizontal]
+CPU:: The brain of the computer, which is long enough to wrap.
+`;
+    const out = fmt(input, 40);
+    assert.strictEqual(out, `[qanda]
+What is the question asked here?::
+  The answer that is long enough to wrap
+  around the column, surely.
+
+[horizontal]
+CPU:: The brain of the computer, which
+      is long enough to wrap.
+`);
+  });
+});
+
 describe('False-positive list guard', () => {
   test('Uppercase initial "M." in a name is NOT a lettered list', () => {
     const input = `Academician *V.\nM. Glushkov*: “Information is a measure of the non-uniformity of the distribution of energy or matter in space and time; any non-uniformity carries some information with it.”\n`;
@@ -179,4 +378,852 @@ describe('False-positive list guard', () => {
       throw new Error(`Detected unwanted hanging indent on: ${JSON.stringify(bad)}`);
     }
   });
+
+  test('a paragraph starting with an initial or an ellipsis is not a list', () => {
+    const input = `M. Glushkov said something that is long enough to wrap around.
+... and then the text went on for a while.
+`;
+    const out = fmt(input, 40);
+    assert.strictEqual(out, `M. Glushkov said something that is long
+enough to wrap around. ... and then the
+text went on for a while.
+`);
+  });
+});
+
+describe('Sentence mode', () => {
+  const sentences = { mode: 'sentences' };
+
+  test('one sentence per line in paragraphs', () => {
+    const input = `First sentence here. Second one follows!\nIs this the third? Yes.\n`;
+    const out = fmt(input, 72, sentences);
+    assert.strictEqual(out, `First sentence here.\nSecond one follows!\nIs this the third?\nYes.\n`);
+  });
+
+  test('abbreviations and initials do not end a sentence', () => {
+    const parts = splitSentences('See Fig. 3 for details, e.g. the flow. Academician V. M. Glushkov agreed. Done.');
+    assert.deepStrictEqual(parts, [
+      'See Fig. 3 for details, e.g. the flow.',
+      'Academician V. M. Glushkov agreed.',
+      'Done.'
+    ]);
+  });
+
+  test('custom abbreviations', () => {
+    const text = 'Ask the dept. Head first. Really.';
+    assert.deepStrictEqual(splitSentences(text), ['Ask the dept.', 'Head first.', 'Really.']);
+    assert.deepStrictEqual(splitSentences(text, { abbreviations: ['Dept.'] }), ['Ask the dept. Head first.', 'Really.']);
+  });
+
+  test('closing quotes and marks stay with the sentence', () => {
+    const parts = splitSentences('He said “stop.” Then *it ended.* (Finally.) Next');
+    assert.deepStrictEqual(parts, ['He said “stop.”', 'Then *it ended.*', '(Finally.)', 'Next']);
+  });
+
+  test('long sentences wrap at the width unless disabled', () => {
+    const input = `This sentence is long enough that it must be wrapped at forty columns. Short.\n`;
+    const out = fmt(input, 40, sentences);
+    assert.strictEqual(out, `This sentence is long enough that\nit must be wrapped at forty columns.\nShort.\n`);
+    const unwrapped = reflowTextAdoc(input, 40, { mode: 'sentences', wrapLongSentences: false });
+    assert.strictEqual(unwrapped, `This sentence is long enough that it must be wrapped at forty columns.\nShort.\n`);
+  });
+
+  test('list items, definitions and admonitions keep their hanging indent', () => {
+    const input = `* One thing. Another thing.\n\nTerm:: Defined here. More text.\n\nNOTE: Be careful. Really careful.\n`;
+    const out = fmt(input, 40, sentences);
+    assert.strictEqual(out,
+      `* One thing.\n  Another thing.\n\nTerm:: Defined here.\n       More text.\n\nNOTE: Be careful.\n      Really careful.\n`);
+  });
+
+  test('structural pass-through is unchanged', () => {
+    const input = `[source,python]\n----\nprint("a. B. c")\n----\n\n A literal. Paragraph.\n\nLine one. +\nLine two.\n`;
+    const out = fmt(input, 40, sentences);
+    assert.strictEqual(out, input);
+  });
+});
+
+describe('Display width', () => {
+  test('measures CJK, emoji, combining marks and tabs', () => {
+    assert.strictEqual(displayWidth('abc'), 3);
+    assert.strictEqual(displayWidth('日本語'), 6);
+    assert.strictEqual(displayWidth('e\u0301te\u0301'), 3);
+    assert.strictEqual(displayWidth('👍 ok'), 5);
+    assert.strictEqual(displayWidth('👨‍👩‍👧'), 2);
+    assert.strictEqual(displayWidth('\t* ', 4), 6);
+    assert.strictEqual(displayWidth('\t* ', 8), 10);
+  });
+
+  test('Japanese text without spaces wraps by columns between characters', () => {
+    const input = 'マニュアルは、スペースを使わずに文章を書くので、折り返し位置は文字と文字の間になります。\n';
+    const out = reflowTextAdoc(input, 30);
+    assert.strictEqual(reflowTextAdoc(out, 30), out);
+    out.trimEnd().split('\n').forEach(l => assert.ok(displayWidth(l) <= 30, l));
+    assert.strictEqual(out.replace(/\n/g, ''), input.trimEnd());
+  });
+
+  test('no break before closing or after opening punctuation', () => {
+    const input = 'あいうえおかきくけ。「さしすせそ」たちつてとなにぬねの、はひふへほ\n';
+    const out = reflowTextAdoc(input, 20);
+    out.trimEnd().split('\n').forEach(l => {
+      assert.ok(!/^[、。」]/.test(l), `line starts with closing punctuation: ${l}`);
+      assert.ok(!/「$/.test(l), `line ends with opening punctuation: ${l}`);
+    });
+    assert.strictEqual(out.replace(/\n/g, ''), input.trimEnd());
+  });
+
+  test('mixed CJK and Latin keeps spaces and list hanging indent', () => {
+    const input = '* 中文手册的段落 mixed with English words 以及更多的中文内容需要正确换行.\n';
+    const out = reflowTextAdoc(input, 24);
+    assert.strictEqual(out, '* 中文手册的段落 mixed\n  with English words\n  以及更多的中文内容需要\n  正确换行.\n');
+    assert.strictEqual(reflowTextAdoc(out, 24), out);
+  });
+
+  test('non-breaking spaces glue words together', () => {
+    const input = 'The distance is exactly 10\u00a0km from here.\n';
+    const out = reflowTextAdoc(input, 26);
+    assert.ok(out.includes('10\u00a0km'));
+  });
+
+  test('tab-indented list items hang under the text column', () => {
+    const input = '\t* tab indented item that is long enough to wrap\n';
+    const out = reflowTextAdoc(input, 30, { tabSize: 4 });
+    assert.strictEqual(out, '\t* tab indented item that\n      is long enough to wrap\n');
+  });
+});
+
+describe('Inline markup', () => {
+  // Every line of `out` must contain each of `atoms` whole, or none of it
+  function assertAtomsIntact(out, atoms) {
+    const flat = out.replace(/\n/g, ' ');
+    atoms.forEach(a => {
+      assert.ok(flat.includes(a), `missing ${a}`);
+      assert.ok(out.split('\n').some(l => l.includes(a)), `split across lines: ${a}`);
+    });
+  }
+
+  test('kbd, btn, pass and stem macros stay on one line', () => {
+    const input = 'Press kbd:[Ctrl + Shift + P] to open the palette, click btn:[Save As] and see pass:[<b>raw html</b>] or stem:[sqrt(4) = 2] here.\n';
+    const out = reflowTextAdoc(input, 30);
+    assert.strictEqual(reflowTextAdoc(out, 30), out);
+    assertAtomsIntact(out, ['kbd:[Ctrl + Shift + P]', 'btn:[Save As]', 'pass:[<b>raw html</b>]', 'stem:[sqrt(4) = 2]']);
+  });
+
+  test('passthroughs, code spans and attribute references stay on one line', () => {
+    const input = 'Use `code with spaces` or ``unconstrained code``s with +++<i>raw</i> html+++ and ++more raw++ and +plain text+ then {set:name:some value} here.\n';
+    const out = reflowTextAdoc(input, 24);
+    assert.strictEqual(reflowTextAdoc(out, 24), out);
+    assertAtomsIntact(out, ['`code with spaces`', '``unconstrained code``', '+++<i>raw</i> html+++', '++more raw++', '+plain text+', '{set:name:some value}']);
+  });
+
+  test('link text may break between words, the target never', () => {
+    const input = 'See link:https://example.com/docs[the online documentation] and <<install,Installing the tools>> now.\n';
+    const out = fmt(input, 30);
+    assert.ok(out.split('\n').some(l => l.includes('link:https://example.com/docs[the')));
+    assert.ok(out.split('\n').some(l => l.includes('<<install,Installing')));
+  });
+
+  test('long macro targets are never hard-split', () => {
+    const input = 'See xref:a-very-long-section-identifier-beyond-the-width[the section] for details.\n';
+    const out = reflowTextAdoc(input, 30);
+    assert.ok(out.includes('xref:a-very-long-section-identifier-beyond-the-width[the'));
+    assert.strictEqual(reflowTextAdoc(out, 30), out);
+  });
+
+  test('plus signs in plain text are not passthroughs', () => {
+    const input = 'C++ and C++ are fine, as is 1 + 2 + 3 in plain text.\n';
+    const out = fmt(input, 30);
+    assert.strictEqual(out, 'C++ and C++ are fine, as is\n1 + 2 + 3 in plain text.\n');
+  });
+
+  test('sentences are not split inside inline atoms', () => {
+    const parts = splitSentences('Type `exit. Then` to quit. Done.');
+    assert.deepStrictEqual(parts, ['Type `exit. Then` to quit.', 'Done.']);
+  });
+});
+
+describe('Line breaks never create syntax', () => {
+  // [hazard, input, width, pattern no wrapped line may match]
+  [
+    ['bullet', 'Stars are written as * in the markup and so are bold words.', 24, /^\* /],
+    ['dash bullet', 'The range goes from 1 to 5 - and then it stops after that.', 30, /^- /],
+    ['numbered item', 'Then we wrote the number 1. and the letter a. in the text.', 24, /^(?:1|a)\. /],
+    ['admonition', 'Please read this text and NOTE: the rest is important now.', 30, /^NOTE: /],
+    ['line comment', 'Comments in C look like // this one here and that one there.', 30, /^\/\//],
+    ['block title', 'The average is written as .5 in the tables of that book.', 30, /^\.\S/],
+    ['anchor', 'The block gets an id [[intro]] so that other pages link to it.', 30, /^\[\[intro\]\]$/],
+    ['heading', 'Section headings use = Heading at the start of the line.', 30, /^= /],
+    ['definition', 'In our glossary: we write Term:: and then the definition.', 30, /^[^:]+::(?:\s|$)/],
+    ['hard break', 'The shortcut here is Ctrl + Shift to switch input method.', 30, /\s\+$/],
+    ['open block', 'The answer was: nothing at all -- said without any doubt.', 30, /^--$/],
+    ['attribute entry', 'Write :name: value to set an attribute in the document header.', 30, /^:name: /]
+  ].forEach(([hazard, text, width, re]) => {
+    test(hazard, () => {
+      const out = fmt(text + '\n', width);
+      const lines = out.trimEnd().split('\n');
+      lines.slice(1).forEach(l => assert.ok(!re.test(l), `wrapped line creates syntax: ${JSON.stringify(l)}`));
+      assert.strictEqual(lines.join(' '), text);
+    });
+  });
+
+  test('list item continuation lines are checked without their hanging indent', () => {
+    const out = fmt('* Values such as 10 - 20 percent are common in the data.\n', 22);
+    out.trimEnd().split('\n').slice(1).forEach(l => assert.ok(!/^\s*- /.test(l), l));
+  });
+
+  test('pieces of a hard-split word never start like syntax', () => {
+    assert.strictEqual(fmt('See abcdefghijklmnopqrstuvwxyzabcdefghijklmn1. Next sentence follows here.\n', 40),
+      'See\nabcdefghijklmnopqrstuvwxyzabcdefghijklm\nn1. Next sentence follows here.\n');
+    assert.strictEqual(fmt('Use **abcdefghijklmnopqrstuvwxyzabcdefghijkl** to do things with it.\n', 40),
+      'Use\n**abcdefghijklmnopqrstuvwxyzabcdefghijk\nl** to do things with it.\n');
+  });
+
+  test('a line goes past the width when every break before a word would create syntax', () => {
+    // Any line holding '"Term:: "' or ending in '"Term::' is a definition of its own
+    const input = 'Term:: This definition should wrap under the "Term:: " prefix and align nicely.\n';
+    ['greedy', 'optimal'].forEach(lineBreaking => {
+      const { text, errors } = reflowChecked(input, 40, { lineBreaking });
+      assert.deepStrictEqual(errors, []);
+      assert.strictEqual(text, 'Term:: This definition should wrap under the "Term::\n       " prefix and align nicely.\n');
+      assert.strictEqual(reflowTextAdoc(text, 40, { lineBreaking }), text);
+    });
+  });
+
+  test('sentence mode keeps a sentence that would start with syntax on the previous line', () => {
+    const out = fmt('It was done. NOTE: this is important. Next one.\n', 72, { mode: 'sentences' });
+    assert.strictEqual(out, 'It was done. NOTE: this is important.\nNext one.\n');
+  });
+});
+
+describe('Document header', () => {
+  test('author and revision lines are kept as written', () => {
+    const input = `= Document Title
+Jane Doe <jane@example.com>; John Roe
+v1.0, 2024-01-01: Initial release
+:toc:
+
+Body paragraph that is long enough to wrap at the
+column.
+`;
+    const out = fmt(input, 40);
+    assert.strictEqual(out, `= Document Title
+Jane Doe <jane@example.com>; John Roe
+v1.0, 2024-01-01: Initial release
+:toc:
+
+Body paragraph that is long enough
+to wrap at the column.
+`);
+  });
+
+  test('comments and attribute entries may precede the title', () => {
+    const input = `// Comment before the header\n:doctype: book\n= Document Title\nJane Doe\nv2.0\n`;
+    assert.strictEqual(fmt(input, 40), input);
+  });
+
+  test('a block opened in the header ends the header', () => {
+    for (const input of ['= Title\n----\ncode\n', '= Title\n----\n\ncode\n----\n', '= Title\n////\nnote\n\n////\nText.\n']) {
+      assert.strictEqual(fmt(input), input);
+      const [header, ...body] = parseBlocks(input).children;
+      assert.deepStrictEqual([header.type, header.end, body[0].type], ['header', 1, 'delimited']);
+    }
+    const input = '= Title\n////\nnote\n////\nJane Doe\n\nText.\n';
+    assert.deepStrictEqual(parseBlocks(input).children[0].children.map(n => n.type), ['document-title', 'delimited', 'author']);
+  });
+
+  test('soft-wrapped attribute values are kept', () => {
+    const input = `:summary: Soft-wrapped value \\\ncontinued here \\\nand here.\nNext paragraph line.\n`;
+    assert.strictEqual(fmt(input, 40), input);
+  });
+
+  test('include directives in the header are not author or revision lines', () => {
+    const input = '= Book\nJane Doe\ninclude::attrs.adoc[]\nv1.0\n\nText.\n';
+    assert.strictEqual(fmt(input), input);
+    assert.deepStrictEqual(parseBlocks(input).children[0].children.map(n => n.type),
+      ['document-title', 'author', 'include', 'revision']);
+  });
+
+  test('a soft-wrapped value stops at a blank line', () => {
+    const input = '= Title\n:desc: long value \\\n\nText here.\n';
+    assert.strictEqual(fmt(input), input);
+    assert.deepStrictEqual(parseBlocks(input).children[0].children.map(n => [n.type, n.start, n.end]),
+      [['document-title', 0, 1], ['attribute', 1, 2]]);
+    assert.strictEqual(fmt(':a: one \\\n\n:b: two\n'), ':a: one \\\n\n:b: two\n');
+  });
+
+  test('long attribute values are rewrapped with continuations when enabled', () => {
+    const input = `= Title
+:description: A long description that goes on and on and on, well past the wrap column of forty.
+:summary: Soft-wrapped value \\
+continued here.
+:hard: Line one + \\
+line two
+`;
+    const out = fmt(input, 40, { wrapAttributeValues: true });
+    assert.strictEqual(out, `= Title
+:description: A long description that \\
+goes on and on and on, well past the \\
+wrap column of forty.
+:summary: Soft-wrapped value continued \\
+here.
+:hard: Line one + \\
+line two
+`);
+  });
+});
+
+describe('Directives', () => {
+  test('// adoc-reflow: off keeps everything up to // adoc-reflow: on', () => {
+    const input = `// adoc-reflow: off
+An ASCII   diagram in prose
++----+    +----+
+| a  |--->| b  |
++----+    +----+
+
+Still off: a paragraph that is long and would normally be wrapped.
+// adoc-reflow: on
+After the directive this paragraph is reflowed again at the column.
+`;
+    const out = reflowTextAdoc(input, 40);
+    assert.strictEqual(out, `// adoc-reflow: off
+An ASCII   diagram in prose
++----+    +----+
+| a  |--->| b  |
++----+    +----+
+
+Still off: a paragraph that is long and would normally be wrapped.
+// adoc-reflow: on
+After the directive this paragraph
+is reflowed again at the column.
+`);
+    assert.strictEqual(reflowTextAdoc(out, 40), out);
+  });
+
+  test('// adoc-reflow: skip-next keeps the next block only', () => {
+    const input = `// adoc-reflow: skip-next
+Hand-tuned
+line breaks stay.
+
+Next
+paragraph.
+`;
+    assert.strictEqual(fmt(input, 40), `// adoc-reflow: skip-next
+Hand-tuned
+line breaks stay.
+
+Next paragraph.
+`);
+  });
+
+  test(':reflow-width: and :reflow-mode: override the configured width and mode', () => {
+    const input = `= Title
+:reflow-width: 30
+:reflow-mode: sentences
+
+A paragraph that is long enough to wrap at thirty columns. Second sentence.
+:reflow-width!:
+
+Back at the configured width. Still one sentence per line.
+`;
+    const out = fmt(input, 60);
+    assert.strictEqual(out, `= Title
+:reflow-width: 30
+:reflow-mode: sentences
+
+A paragraph that is long
+enough to wrap at thirty
+columns.
+Second sentence.
+:reflow-width!:
+
+Back at the configured width.
+Still one sentence per line.
+`);
+  });
+});
+
+describe('Block style attributes', () => {
+  const long = 'These lines are kept\nexactly as they were written\nby the author.\n';
+
+  ['[source]', '[source,ruby]', '[listing]', '[literal]', '[verse, Poet, Poem]', '[stem]', '[pass]',
+   '[%hardbreaks]', '[.lead%hardbreaks]', '[options=hardbreaks]', '[opts="hardbreaks,other"]'].forEach(attr => {
+    test(`${attr} paragraph is kept verbatim`, () => {
+      const input = `${attr}\n${long}`;
+      assert.strictEqual(reflowTextAdoc(input, 72), input);
+    });
+  });
+
+  test('title and anchor between attribute line and paragraph keep the style', () => {
+    const input = `[verse]\n.A poem\n[[poem]]\n${long}`;
+    assert.strictEqual(reflowTextAdoc(input, 72), input);
+  });
+
+  test('[quote], [NOTE] and role-only paragraphs are reflowed', () => {
+    ['[quote, Author]', '[NOTE]', '[.lead]', '[#intro.lead]'].forEach(attr => {
+      const out = fmt(`${attr}\n${long}`, 72);
+      assert.strictEqual(out, `${attr}\nThese lines are kept exactly as they were written by the author.\n`);
+    });
+  });
+
+  test('style applies to the next block only', () => {
+    const input = `[verse]\n${long}\nThis paragraph\nis reflowed.\n`;
+    const out = reflowTextAdoc(input, 72);
+    assert.strictEqual(out, `[verse]\n${long}\nThis paragraph is reflowed.\n`);
+  });
+
+  test('verse style on a quote block keeps its content verbatim', () => {
+    const input = `[verse, Poet]\n____\n${long}____\n\n____\nA quote\nblock is reflowed.\n____\n`;
+    const out = reflowTextAdoc(input, 72);
+    assert.strictEqual(out, `[verse, Poet]\n____\n${long}____\n\n____\nA quote block is reflowed.\n____\n`);
+  });
+
+  test('document-level :hardbreaks-option: keeps line breaks until unset', () => {
+    const input = `:hardbreaks-option:\n\n${long}\n* item one\ncontinues here\n\n:hardbreaks-option!:\n\nThis paragraph\nis reflowed.\n`;
+    const out = reflowTextAdoc(input, 72);
+    assert.strictEqual(out, `:hardbreaks-option:\n\n${long}\n* item one\ncontinues here\n\n:hardbreaks-option!:\n\nThis paragraph is reflowed.\n`);
+  });
+});
+
+describe('Block structure', () => {
+  // type/start/end (and children) of a node, for comparing trees
+  const shape = n => [n.type, n.start, n.end, ...(n.children ? [n.children.map(shape)] : [])];
+
+  test('parseBlocks returns typed blocks with source line ranges', () => {
+    const input = '= Title\nJane Doe\n:toc:\n\n== Section\n\n[source]\nPara one\nline two.\n\n====\ninner text\n====\n';
+    const tree = parseBlocks(input);
+    assert.deepStrictEqual(shape(tree), ['document', 0, 13, [
+      ['header', 0, 3, [['document-title', 0, 1], ['author', 1, 2], ['attribute', 2, 3]]],
+      ['blank', 3, 4],
+      ['section-title', 4, 5],
+      ['blank', 5, 6],
+      ['block-attributes', 6, 7],
+      ['paragraph', 7, 9],
+      ['blank', 9, 10],
+      ['delimited', 10, 13, [['paragraph', 11, 12]]]
+    ]]);
+    const para = tree.children[5];
+    assert.strictEqual(para.verbatim, true);
+    assert.strictEqual(para.attrs.style, 'source');
+    assert.strictEqual(tree.children[7].kind, 'example');
+  });
+
+  test('list items hold their nested items and attached blocks', () => {
+    const input = '* item one\n** child\n+\nattached\n\n* item two\n\n----\ncode\n----\n';
+    const [list, , listing] = parseBlocks(input).children;
+    assert.deepStrictEqual(shape(list), ['list', 0, 6, [
+      ['list-item', 0, 4, [['list-item', 1, 4, [['continuation', 2, 3], ['paragraph', 3, 4]]]]],
+      ['blank', 4, 5],
+      ['list-item', 5, 6, []]
+    ]]);
+    assert.strictEqual(list.children[0].textEnd, 1);
+    assert.deepStrictEqual(shape(listing), ['delimited', 7, 10]);
+    assert.strictEqual(listing.verbatim, true);
+  });
+
+  test('rendering the tree reflows prose only', () => {
+    const input = '// a comment that is much longer than the width of forty\nOne\ntwo.\n';
+    const tree = parseBlocks(input);
+    assert.deepStrictEqual(tree.children.map(n => n.type), ['comment', 'paragraph']);
+    // A comment run is prose with its prefix; commented-out markup is not
+    assert.strictEqual(reflowTextAdoc(input, 40), '// a comment that is much longer than\n// the width of forty\nOne two.\n');
+    const markup = '// * a commented-out item that is longer than the width\nOne\ntwo.\n';
+    assert.strictEqual(reflowTextAdoc(markup, 40), '// * a commented-out item that is longer than the width\nOne two.\n');
+  });
+});
+
+describe('Minimal edits', () => {
+  const apply = (input, edits) => {
+    const lines = input.split('\n');
+    for (const e of [...edits].reverse()) lines.splice(e.start, e.end - e.start, ...e.lines);
+    return lines.join('\n');
+  };
+
+  test('only blocks whose lines change are edited', () => {
+    const input = '== Title\n\nAlready short.\n\nThis one\nis joined.\n\n----\nkeep   this\n----\n\n* an item\nwrapped\n';
+    const edits = reflowEdits(input, 40);
+    assert.deepStrictEqual(edits, [
+      { start: 4, end: 6, lines: ['This one is joined.'] },
+      { start: 11, end: 13, lines: ['* an item wrapped'] }
+    ]);
+    assert.strictEqual(apply(input, edits), reflowTextAdoc(input, 40));
+  });
+
+  test('applying the edits gives the reflowed document', () => {
+    const input = ':reflow-width: 30\n\nNOTE: A note that\nspans lines and is long enough to wrap.\n  \n* a\n** b with text that is long enough to wrap\n';
+    assert.strictEqual(apply(input, reflowEdits(input, 72)), reflowTextAdoc(input, 72));
+  });
+
+  test('positions stay on the same word', () => {
+    const input = 'First line\nof text that gets joined.\n\nAfter.\n';
+    const edits = reflowEdits(input, 72);
+    assert.deepStrictEqual(mapPosition(input, edits, { line: 1, character: 3 }), { line: 0, character: 14 }); // |text
+    assert.deepStrictEqual(mapPosition(input, edits, { line: 1, character: 5 }), { line: 0, character: 16 }); // te|xt
+    assert.deepStrictEqual(mapPosition(input, edits, { line: 0, character: 10 }), { line: 0, character: 10 }); // line|
+    assert.deepStrictEqual(mapPosition(input, edits, { line: 3, character: 2 }), { line: 2, character: 2 }); // after the edit
+  });
+
+  test('positions in quotes and comment runs skip the repeated markers', () => {
+    const quote = '> One\n> two three.\n';
+    const qEdits = reflowEdits(quote, 40);
+    assert.deepStrictEqual(qEdits.map(e => e.lines), [['> One two three.']]);
+    assert.deepStrictEqual(mapPosition(quote, qEdits, { line: 1, character: 2 }), { line: 0, character: 6 }); // |two
+    assert.deepStrictEqual(mapPosition(quote, qEdits, { line: 1, character: 7 }), { line: 0, character: 11 }); // |three
+    const comment = '// One\n// two three.\n';
+    const cEdits = reflowEdits(comment, 40);
+    assert.deepStrictEqual(cEdits.map(e => e.lines), [['// One two three.']]);
+    assert.deepStrictEqual(mapPosition(comment, cEdits, { line: 1, character: 5 }), { line: 0, character: 9 }); // tw|o
+    assert.deepStrictEqual(mapPosition(comment, cEdits, { line: 1, character: 13 }), { line: 0, character: 17 }); // end
+  });
+
+  test('wrapped list items that are already reflowed need no edit', () => {
+    const input = '* an item that\n  is wrapped fine\n';
+    assert.strictEqual(reflowTextAdoc(input, 20), input);
+    assert.deepStrictEqual(reflowEdits(input, 20), []);
+  });
+
+  test('positions in and after a wrapped list item stay on their word', () => {
+    const input = '* an item that\n  is wrapped fine\n\nSome text\nhere.\n';
+    const edits = reflowEdits(input, 20);
+    assert.deepStrictEqual(edits, [{ start: 3, end: 5, lines: ['Some text here.'] }]);
+    assert.deepStrictEqual(mapPosition(input, edits, { line: 1, character: 5 }), { line: 1, character: 5 });
+    assert.deepStrictEqual(mapPosition(input, edits, { line: 4, character: 0 }), { line: 3, character: 10 });
+  });
+});
+
+describe('Selection reflow', () => {
+  const input = [
+    'A paragraph', 'in two lines.', '',
+    '* first item', 'wrapped', '* second item', 'wrapped too', '',
+    '----', 'code  that', 'stays', '----', '',
+    'Last', 'paragraph', 'here.', ''
+  ].join('\n');
+
+  test('a cursor reflows only its list item', () => {
+    assert.deepStrictEqual(reflowEdits(input, 40, {}, [{ start: 6, end: 7 }]), [
+      { start: 5, end: 7, lines: ['* second item wrapped too'] }
+    ]);
+  });
+
+  test('nothing is reflowed inside a listing block', () => {
+    assert.deepStrictEqual(reflowEdits(input, 40, {}, [{ start: 9, end: 11 }]), []);
+  });
+
+  test('selections snap outward to whole blocks', () => {
+    assert.deepStrictEqual(reflowEdits(input, 40, {}, [{ start: 1, end: 4 }, { start: 14, end: 15 }]), [
+      { start: 0, end: 2, lines: ['A paragraph in two lines.'] },
+      { start: 3, end: 5, lines: ['* first item wrapped'] },
+      { start: 13, end: 16, lines: ['Last paragraph here.'] }
+    ]);
+  });
+
+  test('a cursor in a comment run reflows the run, commented-out markup stays', () => {
+    const doc = '// A note that is\n// wrapped too early.\n// * not an item\n';
+    assert.deepStrictEqual(reflowEdits(doc, 40, {}, [{ start: 1, end: 2 }]), [
+      { start: 0, end: 2, lines: ['// A note that is wrapped too early.'], markup: /\/\//g }
+    ]);
+    assert.deepStrictEqual(reflowEdits(doc, 40, {}, [{ start: 2, end: 3 }]), []);
+  });
+
+  test('the document context applies to the selected block', () => {
+    const doc = ':reflow-width: 20\n\nThis paragraph is reflowed at twenty.\n';
+    assert.deepStrictEqual(reflowEdits(doc, 72, {}, [{ start: 2, end: 3 }]), [
+      { start: 2, end: 3, lines: ['This paragraph', 'is reflowed', 'at twenty.'] }
+    ]);
+  });
+});
+
+describe('Whitespace edits', () => {
+  test('only the whitespace between words is edited', () => {
+    const input = 'Some words here that go past the limit \nand more.\n';
+    const edits = whitespaceEdits(input, reflowEdits(input, 30, {}, [{ start: 0, end: 1 }]));
+    assert.deepStrictEqual(edits, [
+      { start: { line: 0, character: 28 }, end: { line: 0, character: 29 }, text: '\n' },
+      { start: { line: 0, character: 39 }, end: { line: 1, character: 0 }, text: '' }
+    ]);
+  });
+
+  test('comment markers are added and dropped with the line breaks', () => {
+    const input = '// A note that is\n// wrapped too early. And one that runs past the width.\n';
+    const edits = whitespaceEdits(input, reflowEdits(input, 40));
+    assert.deepStrictEqual(edits, [
+      { start: { line: 0, character: 17 }, end: { line: 1, character: 2 }, text: '' },
+      { start: { line: 1, character: 25 }, end: { line: 1, character: 25 }, text: '\n//' }
+    ]);
+  });
+
+  test('blocks whose words change are replaced whole', () => {
+    const input = ':description: one two three four five six seven\n';
+    const edits = whitespaceEdits(input, reflowEdits(input, 30, { wrapAttributeValues: true }));
+    assert.deepStrictEqual(edits, [{
+      start: { line: 0, character: 0 }, end: { line: 0, character: 47 },
+      text: ':description: one two three \\\nfour five six seven'
+    }]);
+  });
+});
+
+describe('Problems', () => {
+  test('long prose lines and paragraphs that are not reflowed', () => {
+    const input = 'This paragraph line is much longer than the width\nand wraps.\n\nFine.\n';
+    assert.deepStrictEqual(reflowProblems(input, 40), [
+      { kind: 'not-reflowed', start: { line: 0, character: 0 }, end: { line: 1, character: 10 } },
+      { kind: 'long-line', start: { line: 0, character: 40 }, end: { line: 0, character: 49 }, width: 40 }
+    ]);
+  });
+
+  test('verbatim blocks, commented-out markup, literal paragraphs and URLs are allowed past the width', () => {
+    const long = 'word '.repeat(12).trim();
+    const input = [
+      '----', long, '----', '', `// * ${long}`, '', ` ${long}`, '',
+      'https://example.com/a/very/long/path/that/cannot/be/broken', ''
+    ].join('\n');
+    assert.deepStrictEqual(reflowProblems(input, 40), []);
+  });
+
+  test('comment runs are reported like paragraphs', () => {
+    const long = 'word '.repeat(12).trim();
+    const input = ['----', long, '----', '', `// ${long}`, '', ` ${long}`, ''].join('\n');
+    assert.deepStrictEqual(reflowProblems(input, 40), [
+      { kind: 'not-reflowed', start: { line: 4, character: 0 }, end: { line: 4, character: 62 } },
+      { kind: 'long-line', start: { line: 4, character: 40 }, end: { line: 4, character: 62 }, width: 40 }
+    ]);
+  });
+
+  test('the width set in the document applies', () => {
+    const input = ':reflow-width: 30\n\nThis line is longer than thirty.\n';
+    const [problem] = reflowProblems(input, 72).filter(p => p.kind === 'long-line');
+    assert.deepStrictEqual(problem, { kind: 'long-line', start: { line: 2, character: 30 }, end: { line: 2, character: 32 }, width: 30 });
+  });
+});
+
+describe('Safety net', () => {
+  test('unclosed blocks and tables are reported', () => {
+    const { text, warnings } = reflowChecked('Intro\ntext.\n\n////\nnot closed\n', 72);
+    assert.strictEqual(text, 'Intro text.\n\n////\nnot closed\n');
+    assert.deepStrictEqual(warnings, [{ line: 3, message: 'Unclosed comment block (////) opened on line 4' }]);
+    assert.deepStrictEqual(reflowChecked('|===\n|a\n', 72).warnings,
+      [{ line: 0, message: 'Unclosed table (|===) opened on line 1' }]);
+  });
+
+  test('closing delimiters of another length are reported', () => {
+    const { warnings } = reflowChecked('====\nText.\n\n----\ncode\n-----\n====\n', 72);
+    assert.deepStrictEqual(warnings, [
+      { line: 5, message: 'Delimiter ----- on line 6 does not close the listing block (----) opened on line 4' }
+    ]);
+  });
+
+  test('the result is verified', () => {
+    const input = ':description: a b \\\n  c\n\nA long paragraph with Supercalifragilisticexpialidocious words.\n\n----\n  code\n----\n';
+    const result = reflowChecked(input, 20, { wrapAttributeValues: true });
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(result.text, reflowTextAdoc(input, 20, { wrapAttributeValues: true }));
+    assert.deepStrictEqual(reflowChecked(input, 20, {}, [{ start: 3, end: 4 }]).edits.map(e => e.start), [3]);
+  });
+});
+
+describe('Unwrap mode', () => {
+  test('joins paragraphs, list items, definitions and admonitions into single lines', () => {
+    const input = 'One\ntwo. Three\nfour.\n\n* item\n  more\n** sub\nmore\n\nTerm:: the\ndefinition\n\nNOTE: a\nnote\n';
+    assert.strictEqual(reflowTextAdoc(input, 20, { mode: 'unwrap' }),
+      'One two. Three four.\n\n* item more\n** sub more\n\nTerm:: the definition\n\nNOTE: a note\n');
+  });
+
+  test('keeps hard breaks, literal paragraphs and verbatim blocks', () => {
+    const input = 'Hard +\nbreak\n\n literal\n text\n\n----\na\nb\n----\n\n[verse]\nTwo\nlines\n';
+    assert.strictEqual(reflowTextAdoc(input, 20, { mode: 'unwrap' }), input);
+  });
+
+  test('ignores the width and mode set in the document', () => {
+    const input = ':reflow-mode: sentences\n:reflow-width: 20\n\nA paragraph that is longer than twenty. Two sentences.\n';
+    assert.strictEqual(reflowTextAdoc(input, 20, { mode: 'unwrap' }), input);
+  });
+});
+
+describe('Markdown-compatible blocks', () => {
+  test('backtick-fenced code stays verbatim', () => {
+    const input = 'Intro\ntext.\n\n```ruby\nputs   "hi"\n  x = 1\n\nmore   code\n```\n\n* item\n+\n```\na   b\n```\n';
+    assert.strictEqual(fmt(input), 'Intro text.\n\n```ruby\nputs   "hi"\n  x = 1\n\nmore   code\n```\n\n* item\n+\n```\na   b\n```\n');
+  });
+
+  test('---, *** and ___ are thematic breaks', () => {
+    const input = 'One\n---\nTwo\n\n* * *\n\nThree\n___\n';
+    assert.strictEqual(fmt(input), input);
+    assert.deepStrictEqual(parseBlocks(input).children.map(n => n.type),
+      ['paragraph', 'thematic-break', 'paragraph', 'blank', 'thematic-break', 'blank', 'paragraph', 'thematic-break']);
+  });
+
+  test('"> " quotes are reflowed with the prefix on every line', () => {
+    const input = '> A quoted paragraph that is long enough to wrap at this width.\n> Second\n> line.\n>\n> > A nested quote that wraps as well.\n';
+    assert.strictEqual(fmt(input), [
+      '> A quoted paragraph that is long enough',
+      '> to wrap at this width. Second line.',
+      '>',
+      '> > A nested quote that wraps as well.',
+      ''
+    ].join('\n'));
+    assert.strictEqual(fmt(input, 30), [
+      '> A quoted paragraph that',
+      '> is long enough to wrap',
+      '> at this width. Second line.',
+      '>',
+      '> > A nested quote that wraps',
+      '> > as well.',
+      ''
+    ].join('\n'));
+    assert.deepStrictEqual(reflowChecked(input, 40).errors, []);
+  });
+
+  test('a wrapped line never starts with "> "', () => {
+    const out = fmt('Compare the values a and b where a > b holds for all the inputs.\n', 34);
+    assert.doesNotMatch(out, /^>/m);
+  });
+});
+
+describe('Comment paragraphs', () => {
+  test('consecutive line comments are reflowed with their prefix', () => {
+    const input = '// An editorial note that runs far past the column because nobody rewraps\n// comments.\n  // Indented notes keep their indent.\nText.\n';
+    assert.strictEqual(fmt(input), [
+      '// An editorial note that runs far past',
+      '// the column because nobody rewraps',
+      '// comments.',
+      '  // Indented notes keep their indent.',
+      'Text.',
+      ''
+    ].join('\n'));
+  });
+
+  test('directives and commented-out markup stay as they are', () => {
+    const input = [
+      '// tag::intro[]', '// vale off', '// * a commented-out list item', '// include::chapter.adoc[]',
+      '// :toc: left', '//no space', '//', '// end::intro[]', ''
+    ].join('\n');
+    assert.strictEqual(reflowTextAdoc(input, 20), input);
+  });
+
+  test('a comment run ends at lines with another prefix', () => {
+    const input = '// one\n//   two\n// three\n';
+    assert.strictEqual(fmt(input), input);
+    assert.deepStrictEqual(parseBlocks(input).children.map(n => [n.start, n.end, n.prefix]),
+      [[0, 1, '// '], [1, 2, '//   '], [2, 3, '// ']]);
+  });
+
+  test('comment blocks are reflowed with reflowCommentBlocks', () => {
+    const input = '////\nA comment block paragraph that is long enough to wrap.\n\n----\ncode   stays\n----\n////\n';
+    assert.strictEqual(reflowTextAdoc(input, 40), input);
+    assert.strictEqual(fmt(input, 40, { reflowCommentBlocks: true }),
+      '////\nA comment block paragraph that is long\nenough to wrap.\n\n----\ncode   stays\n----\n////\n');
+  });
+});
+
+describe('Optimal line breaking', () => {
+  const optimal = { lineBreaking: 'optimal' };
+
+  test('balances the lines of a paragraph instead of filling them in turn', () => {
+    const input = 'Optimal line breaking considers every paragraph as a whole instead of filling lines one by one.\n';
+    assert.strictEqual(fmt(input, 25), [
+      'Optimal line breaking', 'considers every paragraph', 'as a whole instead', 'of filling lines one', 'by one.', ''
+    ].join('\n'));
+    assert.strictEqual(fmt(input, 25, optimal), [
+      'Optimal line breaking', 'considers every paragraph', 'as a whole instead of', 'filling lines one by one.', ''
+    ].join('\n'));
+  });
+
+  test('applies to list items, definitions and admonitions alike', () => {
+    const input = 'Term:: A definition body that is long enough to be wrapped over several lines at this width.\n';
+    assert.strictEqual(fmt(input, 30, optimal), [
+      'Term:: A definition body that',
+      '       is long enough to be',
+      '       wrapped over several',
+      '       lines at this width.',
+      ''
+    ].join('\n'));
+    assert.strictEqual(fmt('* Some list item text long enough to be wrapped here.\n', 30, optimal),
+      '* Some list item text long\n  enough to be wrapped here.\n');
+    assert.strictEqual(fmt('NOTE: Admonition text long enough to be wrapped here.\n', 30, optimal),
+      'NOTE: Admonition text long\n      enough to be wrapped\n      here.\n');
+  });
+
+  test('never breaks where the new line would parse as structure', () => {
+    const input = 'Press Ctrl + Shift + P, then type - and * or . to step 1. through the items * quickly.\n';
+    for (let width = 20; width <= 40; width++) {
+      const out = fmt(input, width, optimal);
+      assert.deepStrictEqual(parseBlocks(out).children.map(n => n.type), ['paragraph'], `width ${width}:\n${out}`);
+    }
+  });
+
+  test('long paragraphs full of breaks that would create syntax stay fast', { timeout: 10000 }, () => {
+    const input = 'word * x '.repeat(4000).trim() + '\n';
+    const out = reflowTextAdoc(input, 72, optimal);
+    assert.doesNotMatch(out, /^\* /m);
+    assert.strictEqual(out.replace(/\n/g, ' ').trim(), input.trim());
+  });
+
+  test('starts every chunk of a hard-split long word on a line of its own', () => {
+    assert.strictEqual(fmt(`Word ${'x'.repeat(30)} end.\n`, 20, optimal), `Word\n${'x'.repeat(20)}\n${'x'.repeat(10)} end.\n`);
+  });
+});
+
+describe('Source-code comments', () => {
+  const javadoc = [
+    '/**',
+    ' * Returns the thing. This AsciiDoc documentation is long enough to be wrapped.',
+    ' *',
+    ' * * a list item',
+    ' * * another',
+    ' *',
+    ' * ----',
+    ' * code   here',
+    ' * ----',
+    ' */',
+    'Thing get();'
+  ];
+
+  test('finds the comment block and its prefix around a line', () => {
+    assert.deepStrictEqual(commentBlockAt(javadoc, 4), { start: 1, end: 9, prefix: ' * ' });
+    assert.strictEqual(commentBlockAt(javadoc, 0), null);
+    assert.strictEqual(commentBlockAt(javadoc, 10), null);
+    assert.deepStrictEqual(commentBlockAt(['  # one', '  #', '  # two', '# other'], 1), { start: 0, end: 3, prefix: '  # ' });
+  });
+
+  test('detects the common prefix of the lines', () => {
+    assert.strictEqual(commentPrefixOf(['/// One.', '///', '/// Two.']), '/// ');
+    assert.strictEqual(commentPrefixOf(['//! Crate docs.', '', '//! More.']), '//! ');
+    assert.strictEqual(commentPrefixOf(['--', '--\tTabbed.']), '--\t');
+    assert.strictEqual(commentPrefixOf(['#include <stdio.h>']), null);
+    assert.strictEqual(commentPrefixOf(['# one', '#\ttwo']), null);
+    assert.strictEqual(commentPrefixOf(['# one', '// two']), null);
+    assert.strictEqual(commentPrefixOf(['# one', '  # two']), null);
+    assert.strictEqual(commentPrefixOf(['plain text']), null);
+  });
+
+  test('reflows the text after the prefix at the width less the prefix', () => {
+    const { text, edits, errors } = reflowPrefixed(javadoc.slice(1, 9).join('\n'), 40, ' * ');
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(text, [
+      ' * Returns the thing. This AsciiDoc',
+      ' * documentation is long enough to',
+      ' * be wrapped.',
+      ...javadoc.slice(2, 9)
+    ].join('\n'));
+    assert.deepStrictEqual(edits, [{ start: 0, end: 1, lines: text.split('\n').slice(0, 3), markup: /\*/g }]);
+    assert.strictEqual(reflowPrefixed(text, 40, ' * ').text, text);
+  });
+
+  test('positions skip the comment markers', () => {
+    const input = '/// One\n/// two three.';
+    const { edits } = reflowPrefixed(input, 40, '/// ');
+    assert.deepStrictEqual(edits.map(e => e.lines), [['/// One two three.']]);
+    assert.deepStrictEqual(mapPosition(input, edits, { line: 1, character: 4 }), { line: 0, character: 8 }); // |two
+  });
+
+  test('blank comment lines separate paragraphs and keep the bare marker', () => {
+    const input = '# First paragraph\n# on two lines.\n#\n# Second\n# one.\n';
+    assert.strictEqual(reflowPrefixed(input, 80, '# ').text, '# First paragraph on two lines.\n#\n# Second one.\n');
+    assert.strictEqual(reflowPrefixed('/// Text', 80, '/// ').text, '/// Text');
+  });
+
+  test('lines without the prefix are errors', () => {
+    const { text, edits, errors } = reflowPrefixed('# one\ntwo\n', 80, '# ');
+    assert.strictEqual(text, '# one\ntwo\n');
+    assert.deepStrictEqual(edits, []);
+    assert.deepStrictEqual(errors.map(e => e.line), [1]);
+  });
 });
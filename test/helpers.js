@@ -0,0 +1,15 @@
+/**
+ * Helpers shared by the tests that work on a temporary directory.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Write `text` to `rel` under `dir`, creating its folders; returns the file's path
+function writeFile(dir, rel, text) {
+  const file = path.join(dir, rel);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+module.exports = { writeFile };
@@ -0,0 +1,83 @@
+/**
+ * Include graph tests (include:: directives followed across files) on a temporary directory.
+ * Run: npm test
+ */
+const { test, describe, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { includedFiles } = require('../includes');
+const { writeFile } = require('./helpers');
+
+let dir;
+const write = (rel, text) => writeFile(dir, rel, text);
+const rel = files => files.map(f => path.relative(dir, f).split(path.sep).join('/'));
+
+describe('Include graph', () => {
+  before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adoc-reflow-includes-')); });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('follows includes transitively, relative to the including file, in document order', () => {
+    const book = write('book/book.adoc', [
+      '= Book', ':partsdir: parts', '',
+      'include::{partsdir}/one.adoc[leveloffset=+1]', '',
+      'include::parts/two.adoc[]', ''
+    ].join('\n'));
+    write('book/parts/one.adoc', '== One\n\ninclude::sections/a.adoc[]\n');
+    write('book/parts/sections/a.adoc', 'A.\n\ninclude::../two.adoc[]\n');
+    write('book/parts/two.adoc', '== Two\n');
+    const { files, missing } = includedFiles(book);
+    assert.deepStrictEqual(rel(files),
+      ['book/book.adoc', 'book/parts/one.adoc', 'book/parts/sections/a.adoc', 'book/parts/two.adoc']);
+    assert.deepStrictEqual(missing, []);
+  });
+
+  test('follows includes in the document header', () => {
+    const book = write('header/book.adoc', '= Book\nJane Doe\ninclude::attrs.adoc[]\n\ninclude::{chapdir}/one.adoc[]\n');
+    write('header/attrs.adoc', ':chapdir: chapters\n');
+    write('header/chapters/one.adoc', '== One\n');
+    const { files, missing } = includedFiles(book);
+    assert.deepStrictEqual(rel(files), ['header/book.adoc', 'header/attrs.adoc', 'header/chapters/one.adoc']);
+    assert.deepStrictEqual(missing, []);
+  });
+
+  test('substitutes attributes set so far, including docdir, and reports what cannot be followed', () => {
+    const main = write('attrs/main.adoc', [
+      ':chapters: {docdir}/ch', '',
+      'include::{chapters}/c1.adoc[]', '',
+      'include::{nope}/c2.adoc[]', '',
+      ':chapters!:', '',
+      'include::{chapters}/c1.adoc[]', '',
+      'include::missing.adoc[]', ''
+    ].join('\n'));
+    write('attrs/ch/c1.adoc', 'Chapter one.\n');
+    const { files, missing } = includedFiles(main);
+    assert.deepStrictEqual(rel(files), ['attrs/main.adoc', 'attrs/ch/c1.adoc']);
+    assert.deepStrictEqual(missing.map(m => [m.line, m.target, m.message.replace(dir, '<dir>')]), [
+      [4, '{nope}/c2.adoc', 'attribute {nope} is not set'],
+      [8, '{chapters}/c1.adoc', 'attribute {chapters} is not set'],
+      [10, 'missing.adoc', `${path.join('<dir>', 'attrs', 'missing.adoc')} not found`]
+    ]);
+  });
+
+  test('skips source files, URLs, includes in verbatim blocks and cycles', () => {
+    const loop = write('skip/loop.adoc', [
+      'include::loop.adoc[]', '',
+      'include::https://example.org/remote.adoc[]', '',
+      '[source,java]', '----', 'include::Example.java[]', 'include::shown.adoc[]', '----', '',
+      '====', 'include::inner.adoc[]', '===='
+    ].join('\n'));
+    write('skip/inner.adoc', 'include::loop.adoc[]\n');
+    const { files, missing } = includedFiles(loop);
+    assert.deepStrictEqual(rel(files), ['skip/loop.adoc', 'skip/inner.adoc']);
+    assert.deepStrictEqual(missing, []);
+  });
+
+  test('reads documents through the given function', () => {
+    const file = path.join(dir, 'unsaved', 'doc.adoc');
+    write('unsaved/part.adoc', 'Part.\n');
+    const { files } = includedFiles(file, () => 'include::part.adoc[]\n');
+    assert.deepStrictEqual(rel(files), ['unsaved/doc.adoc', 'unsaved/part.adoc']);
+  });
+});